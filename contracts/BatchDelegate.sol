@@ -0,0 +1,36 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.24;
+
+/// @title BatchDelegate
+/// @notice EIP-7702 delegate for the set-code workload (scripts/lib/setcode.mjs). Same aggregate3Value interface as
+///         Multicall3, but only the delegated EOA itself may call it, and it keeps accepting plain ETH transfers
+///         (Multicall3 has no receive(), so an EOA delegated to it rejects every top-up).
+contract BatchDelegate {
+    struct Call3Value {
+        address target;
+        bool allowFailure;
+        uint256 value;
+        bytes callData;
+    }
+
+    struct Result {
+        bool success;
+        bytes returnData;
+    }
+
+    error Unauthorized(address caller);
+    error CallFailed(uint256 index);
+
+    receive() external payable {}
+
+    function aggregate3Value(Call3Value[] calldata calls) external payable returns (Result[] memory returnData) {
+        if (msg.sender != address(this)) revert Unauthorized(msg.sender);
+        returnData = new Result[](calls.length);
+        for (uint256 i = 0; i < calls.length; i++) {
+            Call3Value calldata c = calls[i];
+            (bool ok, bytes memory ret) = c.target.call{value: c.value}(c.callData);
+            if (!ok && !c.allowFailure) revert CallFailed(i);
+            returnData[i] = Result(ok, ret);
+        }
+    }
+}
@@ -0,0 +1,27 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.24;
+
+/// @title Disperse
+/// @notice Splits msg.value across many recipients in one tx, so funding hundreds of load workers costs a
+///         handful of txs (scripts/lib/funding.mjs). A recipient that rejects ETH (e.g. an EOA delegated to code
+///         without receive()) is skipped with TransferSkipped instead of reverting the whole batch; its share and
+///         any other remainder go back to the sender.
+contract Disperse {
+    error LengthMismatch(uint256 recipients, uint256 values);
+    error TransferFailed(address to, uint256 value);
+
+    event TransferSkipped(address indexed to, uint256 value);
+
+    function disperseEther(address payable[] calldata recipients, uint256[] calldata values) external payable {
+        if (recipients.length != values.length) revert LengthMismatch(recipients.length, values.length);
+        for (uint256 i = 0; i < recipients.length; i++) {
+            (bool ok, ) = recipients[i].call{value: values[i]}("");
+            if (!ok) emit TransferSkipped(recipients[i], values[i]);
+        }
+        uint256 rest = address(this).balance;
+        if (rest > 0) {
+            (bool ok, ) = payable(msg.sender).call{value: rest}("");
+            if (!ok) revert TransferFailed(msg.sender, rest);
+        }
+    }
+}
@@ -0,0 +1,44 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.24;
+
+/// @title LoadTarget
+/// @notice Load-test target for the workload mix (scripts/lib/workload.mjs): storage-heavy writes,
+///         compute-heavy calls and deliberate reverts.
+contract LoadTarget {
+    event Computed(address indexed from, bytes32 result);
+
+    error Reverted(uint256 code);
+
+    // Per-sender slot space so concurrent workers do not contend on one counter
+    mapping(address => mapping(uint256 => uint256)) public data;
+    mapping(address => uint256) public written;
+
+    /// @notice Writes n fresh (zero -> non-zero) storage slots for msg.sender
+    function store(uint256 n, uint256 seed) external {
+        uint256 c = written[msg.sender];
+        for (uint256 i = 0; i < n; ++i) {
+            data[msg.sender][c + i] = (seed ^ (c + i)) | 1;
+        }
+        written[msg.sender] = c + n;
+    }
+
+    /// @notice keccak256 chain of `rounds` iterations
+    /// @dev Hashes in scratch space (0x00..0x3f): abi.encodePacked would allocate 64 bytes of fresh memory per
+    ///      round, and the quadratic memory-expansion cost would outgrow the linear gas model in workload.mjs.
+    function compute(uint256 rounds, bytes32 seed) external returns (bytes32 h) {
+        h = seed;
+        for (uint256 i = 0; i < rounds; ++i) {
+            assembly ("memory-safe") {
+                mstore(0x00, h)
+                mstore(0x20, i)
+                h := keccak256(0x00, 0x40)
+            }
+        }
+        emit Computed(msg.sender, h);
+    }
+
+    /// @notice Always reverts (included with status 0)
+    function fail(uint256 code) external pure {
+        revert Reverted(code);
+    }
+}
@@ -0,0 +1,40 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.24;
+
+/// @title LoadToken
+/// @notice Minimal ERC-20 for load tests. Devnet only: every account is credited SEED_AMOUNT on its
+///         first transfer, so workers need no separate minting step.
+contract LoadToken {
+    string public constant name = "Load Token";
+    string public constant symbol = "LOAD";
+    uint8 public constant decimals = 18;
+    uint256 public constant SEED_AMOUNT = 1e30;
+
+    event Transfer(address indexed from, address indexed to, uint256 value);
+
+    error InsufficientBalance(address from, uint256 balance, uint256 value);
+
+    uint256 public totalSupply;
+    mapping(address => uint256) private balances;
+    mapping(address => bool) private seeded;
+
+    function balanceOf(address account) external view returns (uint256) {
+        return seeded[account] ? balances[account] : balances[account] + SEED_AMOUNT;
+    }
+
+    function transfer(address to, uint256 value) external returns (bool) {
+        if (!seeded[msg.sender]) {
+            seeded[msg.sender] = true;
+            balances[msg.sender] += SEED_AMOUNT;
+            totalSupply += SEED_AMOUNT;
+        }
+        uint256 bal = balances[msg.sender];
+        if (bal < value) revert InsufficientBalance(msg.sender, bal, value);
+        unchecked {
+            balances[msg.sender] = bal - value;
+        }
+        balances[to] += value;
+        emit Transfer(msg.sender, to, value);
+        return true;
+    }
+}
@@ -0,0 +1,17 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.24;
+
+/// @title SimpleForwarder
+/// @notice Load-test target: forwards msg.value to a recipient so every tx exercises a contract call,
+///         a value transfer and a log (scripts/load-forward.mjs with DIRECT_TRANSFER=0).
+contract SimpleForwarder {
+    event Forwarded(address indexed from, address indexed to, uint256 value);
+
+    error ForwardFailed(address to, uint256 value);
+
+    function forward(address payable to) external payable {
+        (bool ok, ) = to.call{value: msg.value}("");
+        if (!ok) revert ForwardFailed(to, msg.value);
+        emit Forwarded(msg.sender, to, msg.value);
+    }
+}
@@ -53,6 +53,29 @@ for (let addr of (env.GENESIS_ADDRESS || "").split(",")) {
   }
 }
 
+// Worker accounts from scripts/genesis-fund-workers.mjs (config/worker-accounts.json); GENESIS_BALANCE_ lines
+// below still override individual addresses
+try {
+  const manifest = JSON.parse(
+    (await fs.readFile("/config/worker-accounts.json")).toString()
+  );
+  const balance = "0x" + BigInt(manifest.balanceWei).toString(16);
+  for (const { address } of manifest.accounts || []) {
+    const addr = address.toLowerCase().replace(/^0x/, "");
+    alloc[addr] = { ...(alloc[addr] || {}), balance };
+  }
+  console.log(
+    "worker manifest",
+    (manifest.accounts || []).length,
+    "accounts, balance",
+    balance
+  );
+} catch (e) {
+  if (e.code !== "ENOENT") {
+    console.log("invalid worker manifest", e.message);
+  }
+}
+
 for (const [envName, envValue] of Object.entries(env)) {
   if (!envName.startsWith("GENESIS")) {
     continue;
@@ -111,6 +134,41 @@ for (const [envName, envValue] of Object.entries(env)) {
   alloc[address] = cur;
 }
 
+// Load-test contract predeploys (SimpleForwarder for scripts/load-forward.mjs DIRECT_TRANSFER=0,
+// LoadTarget / LoadToken for the WORKLOAD mix, Disperse for batched worker funding, BatchDelegate for TX_TYPE=7702). Addresses must match
+// PREDEPLOYS in scripts/lib/contracts.mjs; GENESIS_PREDEPLOYS=0 disables them (GENESIS_FORWARDER=0, the
+// older switch, still leaves out SimpleForwarder alone).
+const PREDEPLOYS = {
+  SimpleForwarder: "000000000000000000000000000000000000f0f0",
+  LoadTarget: "000000000000000000000000000000000000f0f1",
+  LoadToken: "000000000000000000000000000000000000f0f2",
+  Disperse: "000000000000000000000000000000000000f0f3",
+  BatchDelegate: "000000000000000000000000000000000000f0f4",
+};
+if (env.GENESIS_PREDEPLOYS !== "0" && env.GENESIS_PREDEPLOYS !== "false") {
+  for (const [name, address] of Object.entries(PREDEPLOYS)) {
+    if (
+      name === "SimpleForwarder" &&
+      (env.GENESIS_FORWARDER === "0" || env.GENESIS_FORWARDER === "false")
+    ) {
+      continue;
+    }
+    try {
+      const artifact = JSON.parse(
+        (await fs.readFile(`/contracts/build/${name}.json`)).toString()
+      );
+      alloc[address] = {
+        ...(alloc[address] || {}),
+        balance: alloc[address]?.balance || "0x0",
+        code: artifact.deployedBytecode,
+      };
+      console.log("address", address, name, "predeploy");
+    } catch {
+      console.log(name, "artifact not found, skipping predeploy");
+    }
+  }
+}
+
 if (Object.keys(alloc).length > Object.keys(genesis.alloc).length) {
   genesis.alloc = alloc;
 }
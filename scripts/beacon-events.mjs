@@ -0,0 +1,118 @@
+#!/usr/bin/env node
+/**
+ * beacon-events.mjs
+ * Records the beacon event stream of every Prysm node (lib/beacon-events.mjs) as ground truth for restarts such as
+ * `make downup-set2`: one timestamped JSON line per event, connection losses and reconnects included.
+ * At the end (DURATION_SEC, Ctrl+C or SIGTERM) the log is analysed into reorg depth / frequency, empty slots,
+ * time to finality per epoch, head arrival delay and per-node downtime.
+ *
+ * Env:
+ *   BEACON_URLS            comma separated beacon API URLs (node i is recorded as prysm-<i+1>)
+ *   EVENT_TOPICS           default head,block,chain_reorg,finalized_checkpoint,voluntary_exit (add attestation to log every
+ *                          gossip attestation; the analysis does not use them and they dominate events.jsonl)
+ *   DURATION_SEC=0         run time (0 = until Ctrl+C / SIGTERM)
+ *   RECONNECT_MS=1000      first reconnect delay, doubled per failed attempt up to 10s
+ * Output: metrics/beacon_events_<timestamp>/ (events.jsonl, meta.json, summary.json; EVENTS_DIR overrides)
+ *
+ * CLI:
+ *   node scripts/beacon-events.mjs --analyze metrics/beacon_events_<ts>   # re-run the analysis of a recorded log
+ */
+import fs from 'node:fs';
+import path from 'node:path';
+import { subscribeBeaconEvents, analyzeEvents, fetchBeaconMeta } from './lib/beacon-events.mjs';
+
+function parseList(v) {
+  return (v || '').split(/[,\s]+/).filter(Boolean);
+}
+
+const BEACON_URLS = parseList(process.env.BEACON_URLS || 'http://127.0.0.1:3500,http://127.0.0.1:3502,http://127.0.0.1:3503');
+const TOPICS = parseList(process.env.EVENT_TOPICS || 'head,block,chain_reorg,finalized_checkpoint,voluntary_exit');
+const DURATION_SEC = Number(process.env.DURATION_SEC || 0);
+const RECONNECT_MS = Number(process.env.RECONNECT_MS || 1000);
+const OUT_DIR = process.env.EVENTS_DIR || path.join(process.cwd(), 'metrics', `beacon_events_${new Date().toISOString().replace(/[:.]/g, '-')}`);
+
+function nodeName(i) { return `prysm-${i + 1}`; }
+
+function readLog(file) {
+  return fs.readFileSync(file, 'utf8').split(/\r?\n/).filter(Boolean).map(l => JSON.parse(l));
+}
+
+function printSummary(summary) {
+  console.log(`slots ${summary.slots.first}..${summary.slots.last}: withBlock=${summary.slots.withBlock} empty=${summary.slots.empty} unobserved=${summary.slots.unobserved}${summary.slots.empty ? ` [${summary.slots.emptyList.slice(0, 20).join(' ')}${summary.slots.empty > 20 ? ' ...' : ''}]` : ''}`);
+  for (const [name, n] of Object.entries(summary.nodes)) {
+    const f = (v) => (v == null ? 'n/a' : v);
+    console.log(`${name}: reorgs=${n.reorgs.count} (${f(n.reorgs.perHour)}/h, depth max=${f(n.reorgs.depth.max)}) ttf_sec p50=${f(n.timeToFinalitySec.p50)} max=${f(n.timeToFinalitySec.max)} head_delay_ms p50=${f(n.headDelayMs.p50)} p99=${f(n.headDelayMs.p99)} unseenSlots=${n.unseenSlots} disconnects=${n.disconnects} down=${n.downSec}s`);
+  }
+}
+
+function analyzeDir(dir) {
+  const meta = JSON.parse(fs.readFileSync(path.join(dir, 'meta.json'), 'utf8'));
+  const summary = analyzeEvents(readLog(path.join(dir, 'events.jsonl')), meta);
+  fs.writeFileSync(path.join(dir, 'summary.json'), JSON.stringify(summary, null, 2));
+  printSummary(summary);
+  console.log(`Saved ${path.join(dir, 'summary.json')}`);
+}
+
+async function record() {
+  fs.mkdirSync(OUT_DIR, { recursive: true });
+  const logFile = path.join(OUT_DIR, 'events.jsonl');
+  const out = fs.createWriteStream(logFile, { flags: 'a' });
+  const write = (node, topic, data, ms = Date.now()) => {
+    out.write(JSON.stringify({ t: new Date(ms).toISOString(), ms, node, topic, data }) + '\n');
+  };
+
+  let meta = await fetchBeaconMeta(BEACON_URLS);
+  const saveMeta = () => fs.writeFileSync(path.join(OUT_DIR, 'meta.json'), JSON.stringify({ ...meta, topics: TOPICS, nodes: BEACON_URLS.map((url, i) => ({ node: nodeName(i), url })) }, null, 2));
+  if (meta) saveMeta();
+  console.log(`Recording ${TOPICS.join(',')} from ${BEACON_URLS.length} beacon nodes -> ${logFile}`);
+
+  const subs = BEACON_URLS.map((url, i) => subscribeBeaconEvents({
+    url,
+    topics: TOPICS,
+    reconnectMs: RECONNECT_MS,
+    onEvent: (topic, data, ms) => {
+      write(nodeName(i), topic, data, ms);
+      if (topic === 'chain_reorg') console.log(`[${new Date(ms).toISOString()}] ${nodeName(i)} reorg slot=${data.slot} depth=${data.depth}`);
+      else if (topic === 'finalized_checkpoint') console.log(`[${new Date(ms).toISOString()}] ${nodeName(i)} finalized epoch=${data.epoch}`);
+    },
+    onStatus: ({ type, error, attempt }) => {
+      write(nodeName(i), type, error ? { error, attempt } : {});
+      console.log(`[${new Date().toISOString()}] ${nodeName(i)} ${type}${error ? ` (${error})` : ''}`);
+      // Every node was down at start: take genesis / spec from the first one that comes back
+      if (type === 'connect' && !meta) {
+        fetchBeaconMeta(BEACON_URLS).then((m) => { if (m && !meta) { meta = m; saveMeta(); } });
+      }
+    }
+  }));
+
+  let stop = false;
+  let wake = null;
+  const onSignal = () => { stop = true; wake?.(); };
+  process.on('SIGINT', onSignal);
+  process.on('SIGTERM', onSignal);
+  const endAt = DURATION_SEC > 0 ? Date.now() + DURATION_SEC * 1000 : Infinity;
+  while (!stop && Date.now() < endAt) {
+    await new Promise((r) => { wake = r; setTimeout(r, Math.min(1000, endAt - Date.now())); });
+  }
+
+  await Promise.all(subs.map(s => s.stop()));
+  await new Promise(r => out.end(r));
+  if (!meta) {
+    console.error('No beacon node answered /eth/v1/beacon/genesis; events are recorded but not analysed');
+    process.exit(1);
+  }
+  analyzeDir(OUT_DIR);
+  process.exit(0);
+}
+
+const analyzeIdx = process.argv.indexOf('--analyze');
+if (analyzeIdx >= 0) {
+  const dir = process.argv[analyzeIdx + 1];
+  if (!dir) {
+    console.error('usage: node scripts/beacon-events.mjs --analyze <metrics/beacon_events_... dir>');
+    process.exit(1);
+  }
+  analyzeDir(dir);
+} else {
+  record().catch((e) => { console.error(e); process.exit(1); });
+}
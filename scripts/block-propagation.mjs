@@ -0,0 +1,272 @@
+#!/usr/bin/env node
+/**
+ * block-propagation.mjs
+ * Cross-node block propagation: when does each block first appear on every node, relative to the node that proposed it.
+ * - CL: beacon SSE `block` / `head` events per node (lib/beacon-events.mjs); the proposer index comes from
+ *   /eth/v1/beacon/headers/<root> and maps to a set through the validator ranges of docker-compose-set<N>.yml
+ *   (--interop-start-index / --interop-num-validators, VALIDATOR_RANGES overrides). The proposer's own `block` event
+ *   is the origin; when it did not see the block (down) the earliest node is used instead.
+ * - EL: newHeads over WS per node (lib/el-subscriptions.mjs); the payload of slot s is the EL block whose timestamp is
+ *   the slot start (parentBeaconBlockRoot breaks ties on forks).
+ * - A block is settled SETTLE_SLOTS after it was first seen; nodes that have not seen it by then count as missed.
+ * Both subscriptions reconnect by themselves, so it keeps measuring across `make downup-set*` restarts.
+ *
+ * Env:
+ *   BEACON_URLS            beacon API URLs, one per set (set i = prysm-<i>)
+ *   EL_WS_URLS             EL WebSocket URLs in the same set order (default ws://127.0.0.1:8546,8549,8550)
+ *   DURATION_SEC=0         run time (0 = until Ctrl+C / SIGTERM)
+ *   SETTLE_SLOTS=2         how long a block waits for late nodes
+ *   RECONNECT_MS=1000      first reconnect delay (SSE and WS), doubled per failed attempt up to 10s
+ *   PROPAGATION_REPORT_SEC=30  interval of the live window lines
+ *   VALIDATOR_RANGES       e.g. "0-63,64-127,128-191" (validator index range per set)
+ * Output: metrics/propagation_<timestamp>/ (blocks.csv one row per block and node, summary.json; PROPAGATION_DIR overrides)
+ */
+import fs from 'node:fs';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { subscribeBeaconEvents, fetchBeaconMeta } from './lib/beacon-events.mjs';
+import { subscribeEl } from './lib/el-subscriptions.mjs';
+import { distribution, writeCsv } from './lib/latency.mjs';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+function parseList(v) {
+  return (v || '').split(/[,\s]+/).filter(Boolean);
+}
+
+const BEACON_URLS = parseList(process.env.BEACON_URLS || 'http://127.0.0.1:3500,http://127.0.0.1:3502,http://127.0.0.1:3503');
+const EL_WS_URLS = parseList(process.env.EL_WS_URLS || 'ws://127.0.0.1:8546,ws://127.0.0.1:8549,ws://127.0.0.1:8550');
+const DURATION_SEC = Number(process.env.DURATION_SEC || 0);
+const SETTLE_SLOTS = Number(process.env.SETTLE_SLOTS || 2);
+const RECONNECT_MS = Number(process.env.RECONNECT_MS || 1000);
+const REPORT_SEC = Number(process.env.PROPAGATION_REPORT_SEC || 30);
+const RUN_DIR = process.env.PROPAGATION_DIR || path.join(process.cwd(), 'metrics', `propagation_${new Date().toISOString().replace(/[:.]/g, '-')}`);
+const NODES = Array.from({ length: Math.max(BEACON_URLS.length, EL_WS_URLS.length) }, (_, i) => `set${i + 1}`);
+
+const CSV_COLUMNS = [
+  'slot', 'root', 'el_hash', 'el_number', 'proposer_index', 'proposer_node', 'origin_node', 'node',
+  'cl_block_ms', 'cl_head_ms', 'el_head_ms', 'cl_delay_ms', 'el_delay_ms', 'slot_offset_ms'
+];
+
+// validator index -> set, from VALIDATOR_RANGES or the interop flags of docker-compose-set<N>.yml
+function loadValidatorRanges() {
+  if (process.env.VALIDATOR_RANGES) {
+    return parseList(process.env.VALIDATOR_RANGES).map((r, i) => {
+      const [from, to] = r.split('-').map(Number);
+      return { node: `set${i + 1}`, from, to };
+    });
+  }
+  const root = path.resolve(__dirname, '..');
+  const ranges = [];
+  for (const f of fs.readdirSync(root)) {
+    const m = f.match(/^docker-compose-set(\d+)\.ya?ml$/);
+    if (!m) continue;
+    const txt = fs.readFileSync(path.join(root, f), 'utf8');
+    const start = txt.match(/--interop-start-index=(\d+)/);
+    const count = txt.match(/--interop-num-validators=(\d+)/);
+    if (start && count) ranges.push({ node: `set${m[1]}`, from: Number(start[1]), to: Number(start[1]) + Number(count[1]) - 1 });
+  }
+  return ranges;
+}
+
+async function beaconHeader(root) {
+  for (const url of BEACON_URLS) {
+    try {
+      const res = await fetch(`${url.replace(/\/$/, '')}/eth/v1/beacon/headers/${root}`, { signal: AbortSignal.timeout(3000) });
+      if (!res.ok) continue;
+      const msg = (await res.json()).data?.header?.message;
+      if (msg) return { proposerIndex: Number(msg.proposer_index), parentRoot: msg.parent_root };
+    } catch { /* try the next node */ }
+  }
+  return null;
+}
+
+async function main() {
+  const meta = await fetchBeaconMeta(BEACON_URLS);
+  if (!meta) {
+    console.error('No beacon node answered /eth/v1/beacon/genesis (check BEACON_URLS)');
+    process.exit(1);
+  }
+  const ranges = loadValidatorRanges();
+  const proposerNode = (index) => ranges.find(r => index >= r.from && index <= r.to)?.node ?? null;
+  const slotStartMs = (slot) => (meta.genesisTime + slot * meta.secondsPerSlot) * 1000;
+  const settleMs = SETTLE_SLOTS * meta.secondsPerSlot * 1000;
+  console.log(`Propagation: ${NODES.join(',')} slot=${meta.secondsPerSlot}s settle=${SETTLE_SLOTS} slots proposers=${ranges.map(r => `${r.node}:${r.from}-${r.to}`).join(' ') || 'unknown (origin = first seen)'}`);
+
+  const blocks = new Map(); // root -> { slot, firstMs, cl: { node: { block, head } }, header }
+  const elHeads = new Map(); // hash -> { number, timestamp, parentBeaconBlockRoot, seen: { node: ms } }
+  const rows = [];
+  let windowRows = [];
+  const counters = { blocks: 0, matchedEl: 0, connects: 0, disconnects: 0 };
+
+  const clSeen = (root, slot, node, kind, ms) => {
+    if (!blocks.has(root)) {
+      const b = { slot: Number(slot), firstMs: ms, cl: {}, header: null };
+      blocks.set(root, b);
+      beaconHeader(root).then((h) => { b.header = h; });
+    }
+    const b = blocks.get(root);
+    b.cl[node] ||= {};
+    if (b.cl[node][kind] == null) b.cl[node][kind] = ms;
+  };
+
+  const status = (node, layer) => ({ type, error }) => {
+    counters[type === 'connect' ? 'connects' : 'disconnects']++;
+    console.log(`[${new Date().toISOString()}] ${node} ${layer} ${type}${error ? ` (${error})` : ''}`);
+  };
+
+  const subs = [];
+  BEACON_URLS.forEach((url, i) => subs.push(subscribeBeaconEvents({
+    url,
+    topics: ['block', 'head'],
+    reconnectMs: RECONNECT_MS,
+    onEvent: (topic, data, ms) => {
+      if ((topic === 'block' || topic === 'head') && data?.block) clSeen(data.block, data.slot, NODES[i], topic, ms);
+    },
+    onStatus: status(NODES[i], 'cl')
+  })));
+  EL_WS_URLS.forEach((url, i) => subs.push(subscribeEl({
+    url,
+    params: ['newHeads'],
+    reconnectMs: RECONNECT_MS,
+    onData: (h, ms) => {
+      if (!elHeads.has(h.hash)) {
+        elHeads.set(h.hash, { number: Number(BigInt(h.number)), timestamp: Number(BigInt(h.timestamp)), parentBeaconBlockRoot: h.parentBeaconBlockRoot, seen: {} });
+      }
+      const e = elHeads.get(h.hash);
+      if (e.seen[NODES[i]] == null) e.seen[NODES[i]] = ms;
+    },
+    onStatus: status(NODES[i], 'el')
+  })));
+
+  // The EL payload of a beacon block: timestamp == slot start, parentBeaconBlockRoot == the block's parent on forks
+  const matchEl = (b) => {
+    const ts = slotStartMs(b.slot) / 1000;
+    const candidates = [...elHeads.entries()].filter(([, e]) => e.timestamp === ts);
+    const pick = candidates.find(([, e]) => b.header && e.parentBeaconBlockRoot === b.header.parentRoot) || (candidates.length === 1 ? candidates[0] : null);
+    return pick ? { hash: pick[0], ...pick[1] } : null;
+  };
+
+  const settle = (force = false) => {
+    const now = Date.now();
+    for (const [root, b] of blocks) {
+      if (!force && now - b.firstMs < settleMs) continue;
+      blocks.delete(root);
+      counters.blocks++;
+      const proposer = b.header ? proposerNode(b.header.proposerIndex) : null;
+      const origin = proposer && b.cl[proposer]?.block != null
+        ? proposer
+        : Object.entries(b.cl).filter(([, s]) => s.block != null).sort((x, y) => x[1].block - y[1].block)[0]?.[0] ?? null;
+      const originMs = origin ? b.cl[origin].block : b.firstMs;
+      const el = matchEl(b);
+      if (el) {
+        counters.matchedEl++;
+        elHeads.delete(el.hash);
+      }
+      for (const node of NODES) {
+        const cl = b.cl[node] || {};
+        const elMs = el?.seen[node] ?? null;
+        const row = {
+          slot: b.slot,
+          root,
+          el_hash: el?.hash ?? null,
+          el_number: el?.number ?? null,
+          proposer_index: b.header?.proposerIndex ?? null,
+          proposer_node: proposer,
+          origin_node: origin,
+          node,
+          cl_block_ms: cl.block ?? null,
+          cl_head_ms: cl.head ?? null,
+          el_head_ms: elMs,
+          cl_delay_ms: cl.block != null ? cl.block - originMs : null,
+          el_delay_ms: elMs != null ? elMs - originMs : null,
+          slot_offset_ms: cl.block != null ? cl.block - slotStartMs(b.slot) : null
+        };
+        rows.push(row);
+        windowRows.push(row);
+      }
+    }
+    // EL heads that never matched a beacon block (or arrived long after it settled)
+    for (const [hash, e] of elHeads) {
+      if (now - e.timestamp * 1000 > settleMs * 4) elHeads.delete(hash);
+    }
+  };
+
+  const summarize = (list) => {
+    const others = list.filter(r => r.node !== r.origin_node);
+    const missed = (k) => others.filter(r => r[k] == null).length;
+    const byNode = {};
+    for (const node of NODES) {
+      const mine = others.filter(r => r.node === node);
+      byNode[node] = {
+        clDelayMs: distribution(mine.map(r => r.cl_delay_ms)),
+        elDelayMs: distribution(mine.map(r => r.el_delay_ms)),
+        clMissed: mine.filter(r => r.cl_block_ms == null).length,
+        elMissed: mine.filter(r => r.el_head_ms == null).length
+      };
+    }
+    const byProposer = {};
+    for (const p of new Set(list.map(r => r.proposer_node ?? 'unknown'))) {
+      const fromP = others.filter(r => (r.proposer_node ?? 'unknown') === p);
+      byProposer[p] = {
+        blocks: new Set(list.filter(r => (r.proposer_node ?? 'unknown') === p).map(r => r.root)).size,
+        clDelayMs: distribution(fromP.map(r => r.cl_delay_ms)),
+        elDelayMs: distribution(fromP.map(r => r.el_delay_ms)),
+        clMissed: fromP.filter(r => r.cl_block_ms == null).length,
+        elMissed: fromP.filter(r => r.el_head_ms == null).length,
+        // when the proposer itself saw its block, relative to the slot start
+        originSlotOffsetMs: distribution(list.filter(r => (r.proposer_node ?? 'unknown') === p && r.node === r.origin_node).map(r => r.slot_offset_ms))
+      };
+    }
+    return {
+      blocks: new Set(list.map(r => r.root)).size,
+      clDelayMs: distribution(others.map(r => r.cl_delay_ms)),
+      elDelayMs: distribution(others.map(r => r.el_delay_ms)),
+      clMissed: missed('cl_block_ms'),
+      elMissed: missed('el_head_ms'),
+      byProposer,
+      byNode
+    };
+  };
+  const f = (v) => (v == null ? 'n/a' : v);
+  const line = (label, s) => `${label}: blocks=${s.blocks} cl_delay_ms p50=${f(s.clDelayMs.p50)} p99=${f(s.clDelayMs.p99)} max=${f(s.clDelayMs.max)} el_delay_ms p50=${f(s.elDelayMs.p50)} p99=${f(s.elDelayMs.p99)} max=${f(s.elDelayMs.max)} missed cl=${s.clMissed} el=${s.elMissed}`;
+
+  const csvFile = path.join(RUN_DIR, 'blocks.csv');
+  let lastReport = Date.now();
+  const tick = setInterval(() => {
+    settle();
+    if (Date.now() - lastReport < REPORT_SEC * 1000) return;
+    lastReport = Date.now();
+    if (windowRows.length) console.log(line(`[${new Date().toISOString()}] window`, summarize(windowRows)));
+    windowRows = [];
+    writeCsv(csvFile, CSV_COLUMNS, rows);
+  }, 1000);
+
+  let stop = false;
+  let wake = null;
+  const onSignal = () => { stop = true; wake?.(); };
+  process.on('SIGINT', onSignal);
+  process.on('SIGTERM', onSignal);
+  const endAt = DURATION_SEC > 0 ? Date.now() + DURATION_SEC * 1000 : Infinity;
+  while (!stop && Date.now() < endAt) {
+    await new Promise((r) => { wake = r; setTimeout(r, Math.min(1000, endAt - Date.now())); });
+  }
+
+  clearInterval(tick);
+  await Promise.all(subs.map(s => s.stop()));
+  settle(true);
+  writeCsv(csvFile, CSV_COLUMNS, rows);
+  const summary = { ...summarize(rows), matchedEl: counters.matchedEl, connects: counters.connects, disconnects: counters.disconnects, validatorRanges: ranges };
+  fs.writeFileSync(path.join(RUN_DIR, 'summary.json'), JSON.stringify(summary, null, 2));
+  console.log(line('total', summary));
+  for (const [p, s] of Object.entries(summary.byProposer)) {
+    console.log(line(`  proposer ${p}`, s) + ` origin_offset_ms p50=${f(s.originSlotOffsetMs.p50)}`);
+  }
+  for (const [node, s] of Object.entries(summary.byNode)) {
+    console.log(`  node ${node}: cl_delay_ms p50=${f(s.clDelayMs.p50)} p99=${f(s.clDelayMs.p99)} el_delay_ms p50=${f(s.elDelayMs.p50)} p99=${f(s.elDelayMs.p99)} missed cl=${s.clMissed} el=${s.elMissed}`);
+  }
+  console.log(`Saved ${csvFile} and summary.json`);
+  process.exit(0);
+}
+
+main().catch((e) => { console.error(e); process.exit(1); });
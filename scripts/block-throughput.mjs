@@ -0,0 +1,92 @@
+#!/usr/bin/env node
+/**
+ * block-throughput.mjs
+ * Exact TPS / gas per second from a blocks.csv written by metrics-sample2.mjs (lib/chain-blocks.mjs), over any window.
+ *
+ * CLI:
+ *   node scripts/block-throughput.mjs metrics/<run>                  # whole run, per EL
+ *   node scripts/block-throughput.mjs metrics/<run>/blocks.csv --from 2025-01-01T10:00:00Z --to 1735725900
+ *   node scripts/block-throughput.mjs metrics/<run> --window 60      # one line per 60s window (block time)
+ *   # --el geth-2 limits the output to one EL, --json prints the rows as JSON
+ *
+ * Windows use block timestamps (fromSec < timestamp <= toSec); when a height was re-recorded after a reorg the
+ * last row wins.
+ */
+import fs from 'node:fs';
+import path from 'node:path';
+import { throughput, formatThroughputLine } from './lib/chain-blocks.mjs';
+
+function parseArgs(argv) {
+  const args = { _: [] };
+  for (let i = 2; i < argv.length; i++) {
+    const a = argv[i];
+    if (a.startsWith('--')) {
+      const [k, v] = a.split('=');
+      if (v !== undefined) args[k.slice(2)] = v;
+      else if (i + 1 < argv.length && !argv[i + 1].startsWith('--')) { args[a.slice(2)] = argv[++i]; }
+      else args[a.slice(2)] = '1';
+    } else {
+      args._.push(a);
+    }
+  }
+  return args;
+}
+
+// unix seconds or anything Date.parse accepts
+function toSec(v) {
+  if (v == null) return null;
+  if (/^\d+(\.\d+)?$/.test(v)) return Number(v);
+  const ms = Date.parse(v);
+  if (!Number.isFinite(ms)) throw new Error(`not a time: ${v}`);
+  return Math.floor(ms / 1000);
+}
+
+// container_name -> canonical records (last row per height)
+function readBlocks(file) {
+  const [header, ...lines] = fs.readFileSync(file, 'utf8').split(/\r?\n/).filter(Boolean);
+  const cols = header.split(',');
+  const byEl = new Map();
+  for (const line of lines) {
+    const cells = line.split(',');
+    const r = Object.fromEntries(cols.map((c, k) => [c, cells[k]]));
+    for (const k of ['number', 'timestamp', 'tx_count', 'gas_used', 'gas_limit', 'blob_gas_used', 'inter_block_sec']) {
+      r[k] = r[k] === '' || r[k] == null ? null : Number(r[k]);
+    }
+    if (!byEl.has(r.container_name)) byEl.set(r.container_name, new Map());
+    byEl.get(r.container_name).set(r.number, r);
+  }
+  return new Map([...byEl].map(([el, m]) => [el, [...m.values()].sort((a, b) => a.number - b.number)]));
+}
+
+function main() {
+  const args = parseArgs(process.argv);
+  const target = args._[0];
+  if (!target) {
+    console.error('usage: node scripts/block-throughput.mjs <metrics run dir | blocks.csv> [--from t] [--to t] [--window sec] [--el name] [--json]');
+    process.exit(1);
+  }
+  const file = fs.statSync(target).isDirectory() ? path.join(target, 'blocks.csv') : target;
+  const blocks = readBlocks(file);
+  const window = args.window ? Number(args.window) : null;
+  const rows = [];
+  for (const [el, records] of blocks) {
+    if (args.el && args.el !== el) continue;
+    const whole = throughput(records, { fromSec: toSec(args.from), toSec: toSec(args.to) });
+    if (!window) {
+      rows.push({ el, ...whole });
+      continue;
+    }
+    for (let from = whole.fromSec; from < whole.toSec; from += window) {
+      rows.push({ el, ...throughput(records, { fromSec: from, toSec: Math.min(from + window, whole.toSec) }) });
+    }
+  }
+  if (args.json) {
+    console.log(JSON.stringify(rows, null, 2));
+    return;
+  }
+  for (const { el, ...t } of rows) {
+    console.log(`${formatThroughputLine(el, t)} from=${new Date(t.fromSec * 1000).toISOString()}`);
+  }
+}
+
+main();
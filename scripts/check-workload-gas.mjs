@@ -0,0 +1,60 @@
+#!/usr/bin/env node
+/**
+ * check-workload-gas.mjs
+ * Checks the per-kind gas model of lib/workload.mjs against the chain: every storage_write / compute entry of the
+ * workload specs is estimated with eth_estimateGas at the largest parameters it can draw (e.g. rounds.max) and must
+ * fit the gas limit load-forward gives it. An entry that does not fit runs out of gas and shows up as "reverted".
+ * Exits 1 when any entry is over its limit.
+ *
+ * Env:
+ *   RPC_URL       http://127.0.0.1:8545
+ *   WORKLOAD      spec to check (inline JSON or file, default: every scripts/workloads/*.json)
+ *   DEPLOYER_PK   sender of the estimates (falls back to PRIV_KEY / the devnet key from README)
+ */
+import fs from 'node:fs';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { JsonRpcProvider, Wallet, Interface } from 'ethers';
+import { loadWorkloadSpec, createWorkload } from './lib/workload.mjs';
+import { loadArtifact, resolveDeployment } from './lib/contracts.mjs';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const RPC_URL = process.env.RPC_URL || 'http://127.0.0.1:8545';
+const DEPLOYER_PK = process.env.DEPLOYER_PK || process.env.PRIV_KEY || '0xac0974bec39a17e36ba4a6b4d238ff944bacb478cbed5efcae784d7bf4f2ff80'; // devnet key from README
+const SEED = '0x' + '11'.repeat(32);
+
+function specs() {
+  if (process.env.WORKLOAD) return [['WORKLOAD', loadWorkloadSpec(process.env.WORKLOAD)]];
+  const dir = path.join(__dirname, 'workloads');
+  return fs.readdirSync(dir).filter(f => f.endsWith('.json')).sort().map(f => [f, loadWorkloadSpec(path.join(dir, f))]);
+}
+
+async function main() {
+  const provider = new JsonRpcProvider(RPC_URL, undefined, { staticNetwork: true });
+  const { chainId } = await provider.getNetwork();
+  const target = await resolveDeployment(provider, chainId, 'LoadTarget');
+  if (!target) throw new Error('LoadTarget not found (run `make deploy-contracts`)');
+  const iface = new Interface(loadArtifact('LoadTarget').abi);
+  const from = new Wallet(DEPLOYER_PK).address;
+
+  let over = 0, checked = 0;
+  for (const [name, spec] of specs()) {
+    for (const e of createWorkload(spec).entries) {
+      const p = e.maxParams;
+      let data;
+      if (e.kind === 'storage_write') data = iface.encodeFunctionData('store', [p.slots, 1n]);
+      else if (e.kind === 'compute') data = iface.encodeFunctionData('compute', [p.rounds, SEED]);
+      else continue;
+      const estimate = Number(BigInt(await provider.send('eth_estimateGas', [{ from, to: target, data }])));
+      const fits = estimate <= e.maxParamsGasLimit;
+      if (!fits) over++;
+      checked++;
+      const param = e.kind === 'compute' ? `rounds=${p.rounds}` : `slots=${p.slots}`;
+      console.log(`${fits ? 'ok  ' : 'OVER'} ${name} ${e.name} ${param} estimate=${estimate} limit=${e.maxParamsGasLimit} (${((estimate / e.maxParamsGasLimit) * 100).toFixed(0)}%)`);
+    }
+  }
+  console.log(`Checked ${checked} entries against LoadTarget ${target}: ${over} over their gas limit`);
+  if (over > 0) process.exit(1);
+}
+
+main().catch((e) => { console.error(e); process.exit(1); });
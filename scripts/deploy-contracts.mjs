@@ -0,0 +1,62 @@
+#!/usr/bin/env node
+/**
+ * deploy-contracts.mjs
+ * Makes the load-test contracts (SimpleForwarder, LoadTarget, LoadToken, Disperse, BatchDelegate) available and records their addresses in
+ * contracts/deployments.json so load-forward picks them up without SIMPLE_FORWARDER_ADDRESS / WORKLOAD addresses.
+ * Order per contract: recorded address still has the code -> genesis predeploy (genesis/index.mjs) -> deploy from DEPLOYER_PK.
+ *
+ * Env:
+ *   RPC_URL       http://127.0.0.1:8545
+ *   DEPLOYER_PK   deployer key (falls back to PRIV_KEY / the devnet key from README)
+ *   CONTRACTS     comma separated subset (default: all of PREDEPLOYS)
+ *   FORCE_DEPLOY=1  deploy fresh instances even if one is recorded or predeployed
+ */
+import { JsonRpcProvider, Wallet, ContractFactory } from 'ethers';
+import { loadArtifact, deploymentFor, recordDeployment, hasCode, PREDEPLOYS, DEPLOYMENTS_FILE } from './lib/contracts.mjs';
+
+const RPC_URL = process.env.RPC_URL || 'http://127.0.0.1:8545';
+const DEPLOYER_PK = process.env.DEPLOYER_PK || process.env.PRIV_KEY || '0xac0974bec39a17e36ba4a6b4d238ff944bacb478cbed5efcae784d7bf4f2ff80'; // devnet key from README
+const FORCE_DEPLOY = process.env.FORCE_DEPLOY === '1' || process.env.FORCE_DEPLOY === 'true';
+const CONTRACTS = (process.env.CONTRACTS || Object.keys(PREDEPLOYS).join(',')).split(',').map(s => s.trim()).filter(Boolean);
+
+async function ensureContract(provider, chainId, wallet, name) {
+  const artifact = loadArtifact(name);
+  if (!artifact) throw new Error(`Missing contracts/build/${name}.json`);
+
+  if (!FORCE_DEPLOY) {
+    const recorded = deploymentFor(chainId, name);
+    if (recorded && await hasCode(provider, recorded.address, artifact)) {
+      console.log(`${name} already available at ${recorded.address} (${recorded.source})`);
+      return;
+    }
+    const predeploy = PREDEPLOYS[name];
+    if (predeploy && await hasCode(provider, predeploy, artifact)) {
+      recordDeployment(chainId, name, { address: predeploy, source: 'genesis' });
+      console.log(`${name} found as genesis predeploy at ${predeploy}`);
+      return;
+    }
+  }
+
+  console.log(`Deploying ${name} from ${wallet.address} via ${RPC_URL} (chainId=${chainId})`);
+  const contract = await new ContractFactory(artifact.abi, artifact.bytecode, wallet).deploy();
+  const tx = contract.deploymentTransaction();
+  const receipt = await tx.wait(1, 120000);
+  const address = await contract.getAddress();
+  if (!receipt || receipt.status !== 1 || !(await hasCode(provider, address, artifact))) {
+    throw new Error(`${name} deployment failed (tx=${tx.hash})`);
+  }
+  recordDeployment(chainId, name, { address, source: 'deploy', txHash: tx.hash, blockNumber: receipt.blockNumber, deployer: wallet.address });
+  console.log(`${name} deployed at ${address} (tx=${tx.hash} block=${receipt.blockNumber})`);
+}
+
+async function main() {
+  const provider = new JsonRpcProvider(RPC_URL, undefined, { staticNetwork: true });
+  const { chainId } = await provider.getNetwork();
+  const wallet = new Wallet(DEPLOYER_PK, provider);
+  for (const name of CONTRACTS) {
+    await ensureContract(provider, chainId, wallet, name);
+  }
+  console.log(`Recorded addresses in ${DEPLOYMENTS_FILE}`);
+}
+
+main().catch((e) => { console.error(e); process.exit(1); });
@@ -0,0 +1,8 @@
+#!/usr/bin/env node
+/**
+ * deploy-forwarder.mjs
+ * Kept for existing callers: deploy-contracts.mjs restricted to SimpleForwarder (same env, CONTRACTS defaults to
+ * SimpleForwarder). New setups should use deploy-contracts.mjs / `make deploy-contracts`.
+ */
+process.env.CONTRACTS ||= 'SimpleForwarder';
+await import('./deploy-contracts.mjs');
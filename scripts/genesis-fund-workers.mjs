@@ -1,23 +1,29 @@
 #!/usr/bin/env node
 /**
  * genesis-fund-workers.mjs
- * Pre-populate worker accounts into EL genesis by writing GENESIS_BALANCE_0x.. lines into .env.
- * - Key derivation matches load-forward.mjs workerKey(i): PK = 0x( (i+1+offset).toString(16).padStart(64,'0') )
- * - Address is computed via ethers.Wallet(privateKey).address
+ * Pre-populate worker accounts into EL genesis via the worker manifest (config/worker-accounts.json, see lib/accounts.mjs).
+ * - Accounts are derived from a BIP-39 mnemonic along a BIP-44 path (worker i = <path>/<i>), the same source
+ *   load-forward.mjs signs with. The mnemonic is taken from --mnemonic / WORKER_MNEMONIC, else from the existing
+ *   manifest, else a fresh one is generated and stored in the manifest.
+ * - The manifest lists index -> address and the balance; genesis/index.mjs (mounted /config) funds every entry,
+ *   so 10k+ accounts need no GENESIS_BALANCE_ lines in .env.
  *
  * CLI:
  *   node scripts/genesis-fund-workers.mjs --count 300 --offset 0 --eth 200
  *   # or specify wei directly:
  *   node scripts/genesis-fund-workers.mjs --count 300 --wei 200000000000000000000
+ *   # --path "m/44'/60'/1'/0" other BIP-44 account, --legacy old sequential keys 0x..01,
+ *   # --env also write GENESIS_BALANCE_0x.. lines into .env (previous behaviour)
  *
  * Notes:
- * - Idempotent: existing GENESIS_BALANCE_ lines for these addresses are replaced with the new amount.
+ * - Idempotent: the manifest is rewritten and existing GENESIS_BALANCE_ lines for these addresses are replaced.
  * - After running this, re-run `make init` (or fresh-workers) to regenerate genesis.
  */
 import fs from 'node:fs/promises';
 import path from 'node:path';
 import { fileURLToPath } from 'node:url';
-import { Wallet, parseEther } from 'ethers';
+import { parseEther } from 'ethers';
+import { createAccountSource, readWorkerManifest, writeWorkerManifest, generateMnemonic, WORKER_MANIFEST_FILE } from './lib/accounts.mjs';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -37,11 +43,6 @@ function parseArgs(argv) {
   return args;
 }
 
-function pkForIndex(i, offset) {
-  const v = BigInt(i + 1 + offset).toString(16).padStart(64, '0');
-  return '0x' + v;
-}
-
 function toWeiDecimal({ eth, wei }) {
   if (wei) return BigInt(wei).toString(10);
   const e = eth ? String(eth) : '100000'; // デフォルトを100000ETHに増額
@@ -88,12 +89,43 @@ async function main() {
     process.exit(1);
   }
 
+  const legacy = args.legacy === '1' || process.env.WORKER_ACCOUNTS === 'legacy';
+  const previous = readWorkerManifest();
+  const mnemonic = legacy ? null : (args.mnemonic || process.env.WORKER_MNEMONIC || previous?.mnemonic || generateMnemonic());
+  if (!legacy && previous?.mnemonic && previous.mnemonic !== mnemonic) {
+    console.log(`Replacing the mnemonic stored in ${WORKER_MANIFEST_FILE}`);
+  }
+  const accounts = createAccountSource({ mode: legacy ? 'legacy' : 'hd', mnemonic, path: args.path || process.env.WORKER_HD_PATH || previous?.path });
+
+  // HD derivation is ~2-3 ms per account, so 10k accounts take half a minute: show progress
   const addrToWei = {};
+  const entries = [];
+  const started = Date.now();
+  let lastLog = started;
   for (let i = 0; i < count; i++) {
-    const pk = pkForIndex(i, offset);
-    const addr = new Wallet(pk).address.toLowerCase();
-    addrToWei[addr] = amountWei;
+    const address = accounts.address(i + offset);
+    entries.push({ index: i + offset, address });
+    addrToWei[address.toLowerCase()] = amountWei;
+    if (Date.now() - lastLog >= 2000) {
+      lastLog = Date.now();
+      const perSec = (i + 1) / ((lastLog - started) / 1000);
+      console.log(`Deriving accounts: ${i + 1}/${count} (${perSec.toFixed(0)}/s, ~${((count - i - 1) / perSec).toFixed(0)}s left)`);
+    }
   }
+  if (Date.now() - started >= 2000) console.log(`Derived ${count} accounts in ${((Date.now() - started) / 1000).toFixed(1)}s`);
+
+  writeWorkerManifest({
+    mode: accounts.mode,
+    ...(mnemonic ? { mnemonic, path: accounts.path } : {}),
+    offset,
+    count,
+    balanceWei: amountWei,
+    createdAt: new Date().toISOString(),
+    accounts: entries
+  });
+  console.log(`Wrote ${entries.length} worker accounts (${accounts.describe()}) to ${WORKER_MANIFEST_FILE}`);
+  console.log(`Example: #${entries[0].index} ${entries[0].address}`);
+  if (args.env !== '1') return;
 
   const envPath = path.resolve(repoRoot, '.env');
   let lines = [];
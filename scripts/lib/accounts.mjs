@@ -0,0 +1,90 @@
+/**
+ * accounts.mjs
+ * Worker accounts shared by genesis-fund-workers.mjs (genesis alloc) and the load scripts (signing keys).
+ * - hd: BIP-39 mnemonic + BIP-44 base path, worker i = <path>/<i>. The mnemonic comes from WORKER_MNEMONIC or the
+ *   manifest written by genesis-fund-workers.mjs (config/worker-accounts.json, git-ignored), which also lists
+ *   index -> address so genesis/index.mjs can fund 10k+ accounts without GENESIS_BALANCE_ lines in .env.
+ * - legacy: the old sequential keys 0x..01, 0x..02, publicly known, so only with an explicit WORKER_ACCOUNTS=legacy
+ *   (or a manifest written with genesis-fund-workers.mjs --legacy).
+ *   Without a mnemonic or manifest createAccountSource fails instead of falling back to them.
+ * Keys are derived lazily and cached, so a process only pays for the indices it actually uses.
+ */
+import fs from 'node:fs';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { HDNodeWallet, Mnemonic, Wallet, randomBytes } from 'ethers';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+export const WORKER_MANIFEST_FILE = process.env.WORKER_MANIFEST || path.resolve(__dirname, '..', '..', 'config', 'worker-accounts.json');
+export const DEFAULT_HD_PATH = "m/44'/60'/0'/0";
+
+export function readWorkerManifest(file = WORKER_MANIFEST_FILE) {
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch {
+    return null;
+  }
+}
+
+export function writeWorkerManifest(manifest, file = WORKER_MANIFEST_FILE) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, JSON.stringify(manifest, null, 2) + '\n');
+}
+
+export function generateMnemonic() {
+  return Mnemonic.fromEntropy(randomBytes(16)).phrase;
+}
+
+function legacyKey(i) {
+  return '0x' + BigInt(i + 1).toString(16).padStart(64, '0');
+}
+
+/**
+ * createAccountSource({ mode, mnemonic, path }) -> { mode, path, key(i), address(i), wallet(i, provider), describe() }
+ * Defaults: WORKER_ACCOUNTS (hd | legacy, default hd), WORKER_MNEMONIC / manifest mnemonic, WORKER_HD_PATH / manifest path.
+ * Indices are absolute (callers add their own offset).
+ */
+export function createAccountSource({ mode = process.env.WORKER_ACCOUNTS, mnemonic = process.env.WORKER_MNEMONIC, path: hdPath = process.env.WORKER_HD_PATH } = {}) {
+  const manifest = (!mnemonic || !hdPath) ? readWorkerManifest() : null;
+  mnemonic = mnemonic || manifest?.mnemonic;
+  hdPath = hdPath || manifest?.path || DEFAULT_HD_PATH;
+  // A manifest written with --legacy is an explicit opt-in as well
+  const resolved = (mode || (!mnemonic && manifest?.mode === 'legacy' ? 'legacy' : 'hd')).toLowerCase();
+  if (resolved !== 'hd' && resolved !== 'legacy') throw new Error(`WORKER_ACCOUNTS must be hd or legacy (got ${mode})`);
+  if (resolved === 'hd' && !mnemonic) {
+    throw new Error(`No worker accounts: set WORKER_MNEMONIC or create ${WORKER_MANIFEST_FILE} with scripts/genesis-fund-workers.mjs `
+      + '(WORKER_ACCOUNTS=legacy uses the publicly known keys 0x..01, 0x..02 instead)');
+  }
+  const root = resolved === 'hd' ? HDNodeWallet.fromPhrase(mnemonic, undefined, hdPath) : null;
+  const keys = new Map(); // i -> private key
+  const addresses = new Map(); // i -> address
+
+  const key = (i) => {
+    if (!keys.has(i)) {
+      if (root) {
+        const child = root.deriveChild(i);
+        keys.set(i, child.privateKey);
+        addresses.set(i, child.address);
+      } else {
+        keys.set(i, legacyKey(i));
+      }
+    }
+    return keys.get(i);
+  };
+
+  return {
+    mode: resolved,
+    path: root ? hdPath : null,
+    key,
+    address(i) {
+      if (!addresses.has(i)) addresses.set(i, new Wallet(key(i)).address);
+      return addresses.get(i);
+    },
+    wallet(i, provider) {
+      return new Wallet(key(i), provider);
+    },
+    describe() {
+      return root ? `hd ${hdPath}/<i>` : 'legacy sequential keys (WORKER_ACCOUNTS=legacy)';
+    }
+  };
+}
@@ -0,0 +1,208 @@
+/**
+ * beacon-events.mjs
+ * Beacon node event stream (GET /eth/v1/events, server-sent events) and the analysis of a recorded event log.
+ * - subscribeBeaconEvents keeps one SSE connection per node and reconnects (RECONNECT_MS backoff, capped) when the
+ *   node goes away, e.g. during downup-set* restarts; connect / disconnect are reported as events of their own.
+ * - analyzeEvents derives reorg depth and frequency, empty slots (no block on any connected node), time to finality per
+ *   epoch, head arrival delay and per-node downtime from the log lines written by scripts/beacon-events.mjs.
+ * - fetchBeaconMeta reads genesis time and slot timing, to place slots and epochs in wall-clock time.
+ */
+import { distribution } from './latency.mjs';
+
+async function beaconJson(url, p) {
+  const res = await fetch(url.replace(/\/$/, '') + p, { headers: { accept: 'application/json' }, signal: AbortSignal.timeout(3000) });
+  if (!res.ok) throw new Error(`${p} HTTP ${res.status}`);
+  return (await res.json()).data;
+}
+
+// -> { genesisTime, secondsPerSlot, slotsPerEpoch, source } from the first node that answers, else null
+export async function fetchBeaconMeta(urls) {
+  for (const url of urls) {
+    try {
+      const [genesis, spec] = await Promise.all([beaconJson(url, '/eth/v1/beacon/genesis'), beaconJson(url, '/eth/v1/config/spec')]);
+      return {
+        genesisTime: Number(genesis.genesis_time),
+        secondsPerSlot: Number(spec.SECONDS_PER_SLOT),
+        slotsPerEpoch: Number(spec.SLOTS_PER_EPOCH),
+        source: url
+      };
+    } catch { /* try the next node */ }
+  }
+  return null;
+}
+
+// Splits an SSE byte stream into { event, data } messages (data lines joined with \n, comments ignored)
+export function createSseParser(onMessage) {
+  let buf = '';
+  let event = 'message';
+  let data = [];
+  return (chunk) => {
+    buf += chunk;
+    let nl;
+    while ((nl = buf.indexOf('\n')) >= 0) {
+      const line = buf.slice(0, nl).replace(/\r$/, '');
+      buf = buf.slice(nl + 1);
+      if (line === '') {
+        if (data.length) onMessage({ event, data: data.join('\n') });
+        event = 'message';
+        data = [];
+      } else if (line.startsWith(':')) {
+        // keep-alive comment
+      } else {
+        const k = line.indexOf(':');
+        const field = k < 0 ? line : line.slice(0, k);
+        const value = k < 0 ? '' : line.slice(k + 1).replace(/^ /, '');
+        if (field === 'event') event = value;
+        else if (field === 'data') data.push(value);
+      }
+    }
+  };
+}
+
+/**
+ * subscribeBeaconEvents({ url, topics, onEvent, onStatus, reconnectMs, maxReconnectMs })
+ * onEvent(topic, data, recvMs); onStatus({ type: 'connect' | 'disconnect', error, attempt }).
+ * -> { stop() } (resolves once the connection loop has ended)
+ */
+export function subscribeBeaconEvents({ url, topics, onEvent, onStatus = () => { }, reconnectMs = 1000, maxReconnectMs = 10000 }) {
+  const controller = new AbortController();
+  let stopped = false;
+  const endpoint = `${url.replace(/\/$/, '')}/eth/v1/events?topics=${topics.join(',')}`;
+  const loop = (async () => {
+    let attempt = 0;
+    let connected = false;
+    while (!stopped) {
+      let error = null;
+      try {
+        const res = await fetch(endpoint, { headers: { accept: 'text/event-stream' }, signal: controller.signal });
+        if (!res.ok) throw new Error(`HTTP ${res.status}`);
+        attempt = 0;
+        connected = true;
+        onStatus({ type: 'connect' });
+        const parse = createSseParser(({ event, data }) => {
+          let parsed;
+          try { parsed = JSON.parse(data); } catch { parsed = data; }
+          onEvent(event, parsed, Date.now());
+        });
+        const decoder = new TextDecoder();
+        for await (const chunk of res.body) parse(decoder.decode(chunk, { stream: true }));
+        error = 'stream ended';
+      } catch (e) {
+        error = e?.cause?.code || e?.message || String(e);
+      }
+      if (stopped) break;
+      // Report every lost connection, but a node that stays down only once until it answers again
+      if (connected || attempt === 0) onStatus({ type: 'disconnect', error, attempt });
+      connected = false;
+      attempt++;
+      const wait = Math.min(maxReconnectMs, reconnectMs * 2 ** Math.min(attempt - 1, 4));
+      await new Promise(r => setTimeout(r, wait));
+    }
+  })();
+  return {
+    async stop() {
+      stopped = true;
+      controller.abort();
+      await loop;
+    }
+  };
+}
+
+/**
+ * analyzeEvents(lines, { genesisTime, secondsPerSlot, slotsPerEpoch })
+ * lines: [{ ms, node, topic, data }] as written by scripts/beacon-events.mjs (topic connect / disconnect included).
+ */
+export function analyzeEvents(lines, { genesisTime, secondsPerSlot, slotsPerEpoch }) {
+  const slotStartMs = (slot) => (genesisTime + Number(slot) * secondsPerSlot) * 1000;
+  const startMs = lines.length ? lines[0].ms : null;
+  const endMs = lines.length ? lines[lines.length - 1].ms : null;
+  const hours = startMs != null && endMs > startMs ? (endMs - startMs) / 3_600_000 : null;
+  const nodes = new Map();
+  const node = (name) => {
+    if (!nodes.has(name)) {
+      nodes.set(name, {
+        counts: {}, reorgs: [], headDelayMs: [], blockSlots: new Set(), finalized: new Map(),
+        disconnects: 0, downMs: 0, downSince: null, up: [], upSince: null
+      });
+    }
+    return nodes.get(name);
+  };
+  const blockSlots = new Set();
+
+  for (const { ms, node: name, topic, data } of lines) {
+    const n = node(name);
+    n.counts[topic] = (n.counts[topic] || 0) + 1;
+    switch (topic) {
+      case 'head':
+        n.headDelayMs.push(ms - slotStartMs(data.slot));
+        break;
+      case 'block':
+        n.blockSlots.add(Number(data.slot));
+        blockSlots.add(Number(data.slot));
+        break;
+      case 'chain_reorg':
+        n.reorgs.push({ slot: Number(data.slot), depth: Number(data.depth), ms });
+        break;
+      case 'finalized_checkpoint': {
+        const epoch = Number(data.epoch);
+        if (!n.finalized.has(epoch)) n.finalized.set(epoch, ms - slotStartMs(epoch * slotsPerEpoch));
+        break;
+      }
+      case 'disconnect':
+        n.disconnects++;
+        if (n.downSince == null) n.downSince = ms;
+        if (n.upSince != null) n.up.push([n.upSince, ms]);
+        n.upSince = null;
+        break;
+      case 'connect':
+        if (n.downSince != null) n.downMs += ms - n.downSince;
+        n.downSince = null;
+        if (n.upSince == null) n.upSince = ms;
+        break;
+    }
+  }
+
+  // Empty slots: no node saw a block although at least one node was connected for the whole slot;
+  // slots nobody was connected for are unobserved, not empty
+  for (const n of nodes.values()) {
+    if (n.upSince != null) n.up.push([n.upSince, endMs]);
+  }
+  const observed = (slot) => [...nodes.values()].some(n => n.up.some(([a, b]) => a <= slotStartMs(slot) && b >= slotStartMs(slot + 1)));
+  const slots = [...blockSlots].sort((a, b) => a - b);
+  const emptySlots = [];
+  let unobserved = 0;
+  for (let s = slots[0]; slots.length && s <= slots[slots.length - 1]; s++) {
+    if (blockSlots.has(s)) continue;
+    if (observed(s)) emptySlots.push(s); else unobserved++;
+  }
+  const slotSpan = slots.length ? slots[slots.length - 1] - slots[0] + 1 : 0;
+
+  const perNode = {};
+  for (const [name, n] of nodes) {
+    if (n.downSince != null && endMs != null) n.downMs += endMs - n.downSince;
+    const depths = n.reorgs.map(r => r.depth);
+    perNode[name] = {
+      events: n.counts,
+      reorgs: {
+        count: n.reorgs.length,
+        perHour: hours ? Number((n.reorgs.length / hours).toFixed(2)) : null,
+        perEpoch: slotSpan ? Number((n.reorgs.length / (slotSpan / slotsPerEpoch)).toFixed(3)) : null,
+        depth: distribution(depths),
+        list: n.reorgs.map(r => ({ slot: r.slot, depth: r.depth, t: new Date(r.ms).toISOString() }))
+      },
+      headDelayMs: distribution(n.headDelayMs),
+      // Slots with a network block that this node never announced (missed while down or out of sync)
+      unseenSlots: slots.filter(s => !n.blockSlots.has(s)).length,
+      timeToFinalitySec: distribution([...n.finalized.values()].map(v => v / 1000)),
+      finalizedEpochs: [...n.finalized.keys()].sort((a, b) => a - b),
+      disconnects: n.disconnects,
+      downSec: Math.round(n.downMs / 1000)
+    };
+  }
+  return {
+    from: startMs != null ? new Date(startMs).toISOString() : null,
+    to: endMs != null ? new Date(endMs).toISOString() : null,
+    slots: { first: slots[0] ?? null, last: slots[slots.length - 1] ?? null, withBlock: slots.length, empty: emptySlots.length, unobserved, emptyList: emptySlots },
+    nodes: perNode
+  };
+}
@@ -0,0 +1,55 @@
+/**
+ * blobs.mjs
+ * EIP-4844 helpers for the blob (type-3) load mode.
+ * - KZG commitments and proofs are computed locally with kzg-wasm (mainnet ceremony setup).
+ * - A small pool of sidecars is built once at startup and reused, so signing stays cheap under load.
+ * - Blob target/max come from config.blobSchedule in config/genesis.json.
+ */
+import fs from 'node:fs';
+import path from 'node:path';
+import crypto from 'node:crypto';
+import { fileURLToPath } from 'node:url';
+import { hexlify } from 'ethers';
+import { loadKZG } from 'kzg-wasm';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+export const FIELD_ELEMENTS_PER_BLOB = 4096;
+export const BYTES_PER_BLOB = FIELD_ELEMENTS_PER_BLOB * 32;
+export const GAS_PER_BLOB = 131072n;
+
+// Random blob whose 32-byte field elements all stay below the BLS12-381 modulus (top byte zeroed)
+export function makeBlob(randomBytes = crypto.randomBytes) {
+  const blob = new Uint8Array(randomBytes(BYTES_PER_BLOB));
+  for (let i = 0; i < BYTES_PER_BLOB; i += 32) blob[i] = 0;
+  return blob;
+}
+
+// Build `size` sidecars ({ data, commitment, proof }) in the BlobLike shape ethers accepts for type-3 txs
+export async function createBlobPool(size, randomBytes) {
+  const kzg = await loadKZG();
+  const pool = [];
+  for (let i = 0; i < size; i++) {
+    const data = hexlify(makeBlob(randomBytes));
+    const commitment = kzg.blobToKZGCommitment(data);
+    const proof = kzg.computeBlobKZGProof(data, commitment);
+    pool.push({ data, commitment, proof });
+  }
+  return pool;
+}
+
+// config.blobSchedule[fork] from the genesis used by the devnet ({ target, max, baseFeeUpdateFraction })
+export function readBlobSchedule(fork = 'prague') {
+  const candidates = [
+    path.resolve(__dirname, '../../config/genesis.json'),
+    path.resolve(process.cwd(), 'config/genesis.json')
+  ];
+  for (const p of candidates) {
+    try {
+      const genesis = JSON.parse(fs.readFileSync(p, 'utf8'));
+      const s = genesis?.config?.blobSchedule?.[fork];
+      if (s) return { target: Number(s.target), max: Number(s.max), baseFeeUpdateFraction: Number(s.baseFeeUpdateFraction) };
+    } catch { /* try next */ }
+  }
+  return null;
+}
@@ -0,0 +1,172 @@
+/**
+ * block-follower.mjs
+ * One receipt source for every in-flight tx instead of polling eth_getTransactionReceipt per hash.
+ * - New heads come from a WebSocket subscription (ethers "block" event = eth_subscribe newHeads) or from
+ *   eth_blockNumber polling; skipped heights are back-filled so every block is processed exactly once.
+ *   A subscription that stays silent for stallMs (dead socket after a node restart) falls back to polling
+ *   until newHeads arrive again.
+ * - Each block costs a single eth_getBlockReceipts call that resolves all waiters included in it.
+ *   Nodes without eth_getBlockReceipts fall back to eth_getTransactionReceipt for the waiting hashes only.
+ * - Receipts of the last few blocks are kept so a waiter registered after its block was processed still resolves.
+ */
+
+export function createBlockFollower({ provider, headProvider = null, pollMs = 500, timeoutMs = 60000, keepBlocks = 8, stallMs = 6000 } = {}) {
+  const waiters = new Map(); // hash -> { resolve, reject, deadline }
+  const recent = new Map(); // hash -> receipt (last keepBlocks blocks)
+  const recentBlocks = []; // [{ number, hashes }]
+  const counters = { blocks: 0, receiptCalls: 0, resolved: 0, timeouts: 0, fallbackCalls: 0, stalls: 0 };
+  let last = null; // last processed block number
+  let head = null; // highest head seen
+  let timer = null;
+  let running = false;
+  let lastHeadAt = 0; // last newHeads notification (ms)
+  let stalled = false;
+  let catchingUp = null;
+  let blockReceipts = true;
+
+  const remember = (number, receipts) => {
+    const hashes = receipts.map(r => r.transactionHash.toLowerCase());
+    for (let k = 0; k < hashes.length; k++) recent.set(hashes[k], receipts[k]);
+    recentBlocks.push({ number, hashes });
+    while (recentBlocks.length > keepBlocks) {
+      for (const h of recentBlocks.shift().hashes) recent.delete(h);
+    }
+  };
+
+  const settle = (hash, receipt) => {
+    const w = waiters.get(hash);
+    if (!w) return;
+    waiters.delete(hash);
+    counters.resolved++;
+    w.resolve(receipt);
+  };
+
+  const expire = () => {
+    const now = Date.now();
+    for (const [hash, w] of waiters) {
+      if (now < w.deadline) continue;
+      waiters.delete(hash);
+      counters.timeouts++;
+      w.reject(new Error('waitReceipt timeout'));
+    }
+  };
+
+  // eth_getBlockReceipts, or per-hash receipts for the current waiters on nodes that lack it
+  const fetchReceipts = async (number) => {
+    const tag = '0x' + number.toString(16);
+    if (blockReceipts) {
+      try {
+        counters.receiptCalls++;
+        return (await provider.send('eth_getBlockReceipts', [tag])) || [];
+      } catch (e) {
+        if (!/not found|not supported|does not exist|not available/i.test((e && e.message) || '')) throw e;
+        blockReceipts = false;
+      }
+    }
+    const out = [];
+    for (const hash of waiters.keys()) {
+      counters.fallbackCalls++;
+      const r = await provider.send('eth_getTransactionReceipt', [hash]).catch(() => null);
+      if (r && Number(BigInt(r.blockNumber)) <= number) out.push(r);
+    }
+    return out;
+  };
+
+  const processBlock = async (number) => {
+    const receipts = await fetchReceipts(number);
+    counters.blocks++;
+    remember(number, receipts);
+    for (const r of receipts) settle(r.transactionHash.toLowerCase(), r);
+  };
+
+  // Processes (last, head] in order; a failed fetch stops here and is retried on the next head
+  const catchUp = () => {
+    if (catchingUp) return catchingUp;
+    catchingUp = (async () => {
+      while (running && head != null && (last == null || last < head)) {
+        const number = last == null ? head : last + 1;
+        try {
+          await processBlock(number);
+        } catch {
+          break;
+        }
+        last = number;
+      }
+      expire();
+    })().finally(() => { catchingUp = null; });
+    return catchingUp;
+  };
+
+  const onHead = (number) => {
+    const n = Number(number);
+    if (head == null || n > head) head = n;
+    catchUp();
+  };
+
+  const poll = async () => {
+    try {
+      onHead(Number(BigInt(await provider.send('eth_blockNumber', []))));
+    } catch { /* keep last head; retried on the next tick */ }
+  };
+
+  const onNewHead = (number) => {
+    lastHeadAt = Date.now();
+    stalled = false;
+    onHead(number);
+  };
+
+  // newHeads carries no timeout of its own: expire waiters, and poll while the subscription is silent
+  const watchHeads = () => {
+    expire();
+    if (Date.now() - lastHeadAt < stallMs) return;
+    if (!stalled) {
+      stalled = true;
+      counters.stalls++;
+    }
+    poll();
+  };
+
+  return {
+    counters,
+    get mode() { return headProvider ? `newHeads${stalled ? ` (stalled, poll ${pollMs}ms)` : ''}` : `poll ${pollMs}ms`; },
+    async start() {
+      if (running) return;
+      running = true;
+      // Start from the current head so txs sent from now on are all seen
+      last = Number(BigInt(await provider.send('eth_blockNumber', []))) - 1;
+      head = last;
+      if (headProvider) {
+        lastHeadAt = Date.now();
+        await headProvider.on('block', onNewHead);
+        timer = setInterval(watchHeads, Math.min(1000, pollMs));
+      } else {
+        timer = setInterval(poll, pollMs);
+      }
+      await poll();
+    },
+    stop() {
+      running = false;
+      if (timer) clearInterval(timer);
+      timer = null;
+      if (headProvider) headProvider.off('block', onNewHead).catch?.(() => { });
+    },
+    waitReceipt(txHash) {
+      const hash = String(txHash).toLowerCase();
+      if (recent.has(hash)) {
+        counters.resolved++;
+        return Promise.resolve(recent.get(hash));
+      }
+      return new Promise((resolve, reject) => {
+        waiters.set(hash, { resolve, reject, deadline: Date.now() + timeoutMs });
+      });
+    },
+    pendingCount() {
+      return waiters.size;
+    },
+    // End of run: rejects every outstanding waiter so the caller can classify what never got a receipt
+    abandon() {
+      for (const w of waiters.values()) w.reject(new Error('waitReceipt abandoned'));
+      waiters.clear();
+    }
+  };
+}
@@ -0,0 +1,173 @@
+/**
+ * chain-blocks.mjs
+ * Exact per-block chain metrics: follows every block of one EL (no sampling of "latest").
+ * - Polls eth_blockNumber and fetches every height from the start block on, in order; a failed fetch is retried
+ *   on the next tick, so a node restart leaves no gap once the node answers again.
+ * - Each block's parentHash is checked against the previous record; on a mismatch the collector walks back
+ *   (up to keepHashes blocks) and re-records the replaced heights with reorg=1.
+ * - throughput() turns records into exact TPS / gas per second over any window of block timestamps; records are kept
+ *   ordered by number, so a window is a binary-searched slice instead of a sort of the whole run.
+ */
+
+export const BLOCK_CSV_COLUMNS = [
+  'container_name', 'number', 'hash', 'parent_hash', 'timestamp', 'tx_count', 'gas_used', 'gas_limit',
+  'base_fee_wei', 'blob_gas_used', 'excess_blob_gas', 'inter_block_sec', 'seen_ms', 'reorg'
+];
+
+const num = (h) => (h == null ? null : Number(BigInt(h)));
+
+// First index in the ascending array whose key(r) is > value (key must be non-decreasing along the array)
+function upperBound(arr, value, key) {
+  let lo = 0;
+  let hi = arr.length;
+  while (lo < hi) {
+    const mid = (lo + hi) >> 1;
+    if (key(arr[mid]) > value) hi = mid;
+    else lo = mid + 1;
+  }
+  return lo;
+}
+
+/**
+ * createBlockCollector({ name, rpc, pollMs, timeoutMs, fromBlock, keepHashes, onBlock })
+ * rpc(method, params) -> result; onBlock(record) gets every recorded block (reorg replacements included).
+ * -> { name, counters, records(), start(), stop() } where records() is the canonical chain seen so far, ordered by
+ *    number (the collector's own array: read it, do not modify it).
+ */
+export function createBlockCollector({ name, rpc, pollMs = 500, timeoutMs = 5000, fromBlock = null, keepHashes = 64, onBlock = () => { } }) {
+  const canonical = new Map(); // number -> record
+  const ordered = []; // the same records by ascending number
+  const counters = { recorded: 0, reorgs: 0, replaced: 0, fetchErrors: 0 };
+  let next = fromBlock; // next height to record
+  let reorgAt = null; // height where the current walk back started
+  let timer = null;
+  let running = false;
+  let ticking = false;
+
+  const call = (method, params) => Promise.race([
+    rpc(method, params),
+    new Promise((_, reject) => setTimeout(() => reject(new Error(`${method} timeout`)), timeoutMs).unref?.())
+  ]);
+
+  const record = (blk) => {
+    const number = num(blk.number);
+    const old = canonical.get(number);
+    if (old && old.hash === blk.hash) return;
+    const prev = canonical.get(number - 1);
+    const r = {
+      container_name: name,
+      number,
+      hash: blk.hash,
+      parent_hash: blk.parentHash,
+      timestamp: num(blk.timestamp),
+      tx_count: Array.isArray(blk.transactions) ? blk.transactions.length : 0,
+      gas_used: num(blk.gasUsed),
+      gas_limit: num(blk.gasLimit),
+      base_fee_wei: blk.baseFeePerGas != null ? BigInt(blk.baseFeePerGas).toString() : null,
+      blob_gas_used: num(blk.blobGasUsed),
+      excess_blob_gas: num(blk.excessBlobGas),
+      inter_block_sec: prev ? num(blk.timestamp) - prev.timestamp : null,
+      seen_ms: Date.now(),
+      reorg: old ? 1 : 0
+    };
+    if (old) counters.replaced++;
+    canonical.set(number, r);
+    // Heights are recorded in order, so this is an append except for reorg replacements
+    const at = upperBound(ordered, number - 1, x => x.number);
+    if (ordered[at]?.number === number) ordered[at] = r;
+    else ordered.splice(at, 0, r);
+    counters.recorded++;
+    onBlock(r);
+  };
+
+  const tick = async () => {
+    if (ticking || !running) return;
+    ticking = true;
+    try {
+      const head = num(await call('eth_blockNumber', []));
+      if (next == null) next = head;
+      while (running && next <= head) {
+        const blk = await call('eth_getBlockByNumber', ['0x' + next.toString(16), false]);
+        if (!blk) break; // not served (yet); retried on the next tick
+        const parent = canonical.get(next - 1);
+        if (parent && parent.hash !== blk.parentHash && (reorgAt == null || reorgAt - next < keepHashes)) {
+          // The stored parent was replaced: step back and re-record until the chain links up again
+          if (reorgAt == null) {
+            counters.reorgs++;
+            reorgAt = next;
+          }
+          next--;
+          continue;
+        }
+        record(blk);
+        if (reorgAt != null && next >= reorgAt) reorgAt = null;
+        next++;
+      }
+    } catch {
+      counters.fetchErrors++;
+    } finally {
+      ticking = false;
+    }
+  };
+
+  return {
+    name,
+    counters,
+    records() {
+      return ordered;
+    },
+    async start() {
+      if (running) return;
+      running = true;
+      await tick();
+      timer = setInterval(tick, pollMs);
+    },
+    // Stops polling after one last pass, so blocks up to the current head are in before the summary
+    async stop() {
+      if (timer) clearInterval(timer);
+      timer = null;
+      while (ticking) await new Promise(r => setTimeout(r, 10));
+      await tick();
+      running = false;
+    }
+  };
+}
+
+/**
+ * throughput(records, { fromSec, toSec }) over blocks with fromSec < timestamp <= toSec (block time, unix seconds).
+ * records must be ordered by number (records() of a collector, or sorted once by the caller).
+ * Without bounds the window runs from the parent of the first block to the last block, i.e. exactly the time the
+ * recorded blocks cover. Missing heights inside the window are counted so a gap never passes silently.
+ * -> { blocks, txs, gasUsed, blobGasUsed, fromSec, toSec, spanSec, tps, gasPerSec, avgBlockSec, missingBlocks }
+ */
+export function throughput(records, { fromSec = null, toSec = null } = {}) {
+  const first = records[0];
+  if (fromSec == null) fromSec = first ? first.timestamp - (first.inter_block_sec ?? 0) : null;
+  if (toSec == null) toSec = records.length ? records[records.length - 1].timestamp : null;
+  const ts = r => r.timestamp;
+  const inWindow = fromSec == null ? [] : records.slice(upperBound(records, fromSec, ts), upperBound(records, toSec, ts));
+  const sum = (k) => inWindow.reduce((a, r) => a + (r[k] ?? 0), 0);
+  const spanSec = fromSec != null && toSec != null ? toSec - fromSec : 0;
+  let missingBlocks = 0;
+  for (let k = 1; k < inWindow.length; k++) missingBlocks += inWindow[k].number - inWindow[k - 1].number - 1;
+  const txs = sum('tx_count');
+  const gasUsed = sum('gas_used');
+  return {
+    blocks: inWindow.length,
+    txs,
+    gasUsed,
+    blobGasUsed: sum('blob_gas_used'),
+    fromSec,
+    toSec,
+    spanSec,
+    tps: spanSec > 0 ? txs / spanSec : null,
+    gasPerSec: spanSec > 0 ? gasUsed / spanSec : null,
+    avgBlockSec: inWindow.length > 0 && spanSec > 0 ? spanSec / inWindow.length : null,
+    missingBlocks
+  };
+}
+
+export function formatThroughputLine(name, t) {
+  const f = (v, d = 2) => (v == null ? 'n/a' : v.toFixed(d));
+  return `blocks: ${name} n=${t.blocks} span=${t.spanSec}s txs=${t.txs} tps=${f(t.tps)} gas/s=${f(t.gasPerSec, 0)} avgBlock=${f(t.avgBlockSec)}s missing=${t.missingBlocks}`;
+}
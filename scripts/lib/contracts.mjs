@@ -0,0 +1,69 @@
+/**
+ * contracts.mjs
+ * Shipped load-target contracts (contracts/build/<Name>.json: abi, bytecode, deployedBytecode) and their
+ * per-chain addresses recorded in contracts/deployments.json ({ "<chainId>": { "<Name>": { address, source, ... } } }).
+ * - Every contract in PREDEPLOYS is injected into the genesis alloc by genesis/index.mjs (GENESIS_PREDEPLOYS=0
+ *   disables them); scripts/deploy-contracts.mjs deploys them from the deployer key otherwise.
+ */
+import fs from 'node:fs';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+export const CONTRACTS_DIR = path.resolve(__dirname, '../../contracts');
+export const DEPLOYMENTS_FILE = path.join(CONTRACTS_DIR, 'deployments.json');
+// Must match PREDEPLOYS in genesis/index.mjs
+export const PREDEPLOYS = {
+  SimpleForwarder: '0x000000000000000000000000000000000000f0f0',
+  LoadTarget: '0x000000000000000000000000000000000000f0f1',
+  LoadToken: '0x000000000000000000000000000000000000f0f2',
+  Disperse: '0x000000000000000000000000000000000000f0f3',
+  BatchDelegate: '0x000000000000000000000000000000000000f0f4'
+};
+export const FORWARDER_PREDEPLOY_ADDRESS = PREDEPLOYS.SimpleForwarder;
+
+export function loadArtifact(name) {
+  try {
+    return JSON.parse(fs.readFileSync(path.join(CONTRACTS_DIR, 'build', `${name}.json`), 'utf8'));
+  } catch {
+    return null;
+  }
+}
+
+export function readDeployments() {
+  try {
+    return JSON.parse(fs.readFileSync(DEPLOYMENTS_FILE, 'utf8'));
+  } catch {
+    return {};
+  }
+}
+
+export function deploymentFor(chainId, name) {
+  return readDeployments()[String(chainId)]?.[name] || null;
+}
+
+export function recordDeployment(chainId, name, info) {
+  const all = readDeployments();
+  const key = String(chainId);
+  all[key] = { ...(all[key] || {}), [name]: { ...info, recordedAt: new Date().toISOString() } };
+  fs.writeFileSync(DEPLOYMENTS_FILE, JSON.stringify(all, null, 2) + '\n');
+}
+
+// True when address carries exactly the artifact's runtime code (or any code when no artifact is given)
+export async function hasCode(provider, address, artifact = null) {
+  const code = await provider.send('eth_getCode', [address, 'latest']);
+  if (!code || code === '0x') return false;
+  return artifact ? code.toLowerCase() === artifact.deployedBytecode.toLowerCase() : true;
+}
+
+// Recorded deployment for this chain, else the genesis predeploy when its code is present
+export async function resolveDeployment(provider, chainId, name) {
+  const recorded = deploymentFor(chainId, name);
+  if (recorded) return recorded.address;
+  const predeploy = PREDEPLOYS[name];
+  try {
+    if (predeploy && await hasCode(provider, predeploy)) return predeploy;
+  } catch { /* treated as missing */ }
+  return null;
+}
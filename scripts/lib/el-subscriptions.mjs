@@ -0,0 +1,64 @@
+/**
+ * el-subscriptions.mjs
+ * eth_subscribe over a raw WebSocket (ws) with automatic reconnect, for tools that only listen: no ethers provider,
+ * so a node that is down or restarting never throws out of the process; the subscription is simply re-created.
+ * Every notification is passed on with its local receive time (Date.now() when the frame arrived).
+ */
+import WebSocket from 'ws';
+
+/**
+ * subscribeEl({ url, params, onData, onStatus, reconnectMs, maxReconnectMs })
+ * params: eth_subscribe params, e.g. ['newHeads'] or ['newPendingTransactions'].
+ * onData(result, recvMs); onStatus({ type: 'connect' | 'disconnect', error, attempt }).
+ * -> { stop() }
+ */
+export function subscribeEl({ url, params, onData, onStatus = () => { }, reconnectMs = 1000, maxReconnectMs = 10000 }) {
+  let stopped = false;
+  let ws = null;
+  let timer = null;
+  let attempt = 0;
+
+  const connect = () => {
+    if (stopped) return;
+    let connected = false;
+    let subscription = null;
+    ws = new WebSocket(url);
+    ws.on('open', () => {
+      ws.send(JSON.stringify({ jsonrpc: '2.0', id: 1, method: 'eth_subscribe', params }));
+    });
+    ws.on('message', (raw) => {
+      const recvMs = Date.now();
+      let msg;
+      try { msg = JSON.parse(raw.toString()); } catch { return; }
+      if (msg.id === 1) {
+        if (msg.error) {
+          ws.close();
+          return;
+        }
+        subscription = msg.result;
+        connected = true;
+        attempt = 0;
+        onStatus({ type: 'connect' });
+        return;
+      }
+      if (msg.method === 'eth_subscription' && msg.params?.subscription === subscription) onData(msg.params.result, recvMs);
+    });
+    ws.on('error', () => { /* followed by close */ });
+    ws.on('close', (code) => {
+      if (stopped) return;
+      // Report every lost subscription, but a node that stays down only once until it answers again
+      if (connected || attempt === 0) onStatus({ type: 'disconnect', error: `ws closed ${code}`, attempt });
+      attempt++;
+      timer = setTimeout(connect, Math.min(maxReconnectMs, reconnectMs * 2 ** Math.min(attempt - 1, 4)));
+    });
+  };
+  connect();
+
+  return {
+    stop() {
+      stopped = true;
+      if (timer) clearTimeout(timer);
+      try { ws?.terminate(); } catch { }
+    }
+  };
+}
@@ -0,0 +1,161 @@
+/**
+ * endpoint-pool.mjs
+ * Shared RPC endpoint pool with per-URL health scoring and a circuit breaker.
+ * - Every send reports (url, ok, latencyMs): latency is an EWMA, the error rate covers the last windowMs
+ *   (per-second ok / error counts, so memory stays bounded at any send rate).
+ * - closed -> open after failThreshold consecutive errors, or errorRate >= the limit over at least minSamples.
+ *   Open endpoints leave the rotation; after openMs they go half_open and are probed every probeMs in the
+ *   background. closeAfter probe successes in a row close the breaker again, a failed probe re-opens it.
+ * - Every transition is logged with an ISO timestamp and kept in transitions[] for the run report.
+ */
+
+const now = () => Date.now();
+
+export function createEndpointPool(urls, {
+  probe,
+  failThreshold = 3,
+  errorRate = 0.5,
+  minSamples = 20,
+  windowMs = 10000,
+  openMs = 3000,
+  probeMs = 1000,
+  closeAfter = 2,
+  log = console.log
+} = {}) {
+  const endpoints = new Map(urls.map(url => [url, {
+    url,
+    state: 'closed',
+    since: now(),
+    consecutive: 0,
+    probeOk: 0,
+    ewmaMs: null,
+    window: [], // [{ sec, ok, err }] per-second buckets of the last windowMs
+    sends: 0,
+    errors: 0,
+    opens: 0
+  }]));
+  const transitions = [];
+  let timer = null;
+  let probing = false;
+
+  const trim = (e) => {
+    const cutoff = Math.floor((now() - windowMs) / 1000);
+    while (e.window.length && e.window[0].sec < cutoff) e.window.shift();
+  };
+  const samples = (e) => {
+    trim(e);
+    let ok = 0, err = 0;
+    for (const b of e.window) {
+      ok += b.ok;
+      err += b.err;
+    }
+    return { n: ok + err, err };
+  };
+  const rate = (e) => {
+    const { n, err } = samples(e);
+    return n ? err / n : 0;
+  };
+  // Lower is better: latency inflated by the recent error rate
+  const score = (e) => (e.ewmaMs ?? 0) * (1 + 4 * rate(e));
+
+  const transition = (e, to, reason) => {
+    if (e.state === to) return;
+    const t = now();
+    const entry = { t: new Date(t).toISOString(), url: e.url, from: e.state, to, reason, afterMs: t - e.since };
+    transitions.push(entry);
+    log(`[endpoint] ${entry.t} ${e.url} ${e.state} -> ${to} (${reason})`);
+    if (to === 'open' && e.state === 'closed') e.opens++;
+    e.state = to;
+    e.since = t;
+    e.probeOk = 0;
+    if (to === 'closed') {
+      e.consecutive = 0;
+      e.window = [];
+    }
+  };
+
+  const probeAll = async () => {
+    if (probing) return;
+    probing = true;
+    try {
+      await Promise.all([...endpoints.values()].map(async (e) => {
+        if (e.state === 'open' && now() - e.since >= openMs) transition(e, 'half_open', `cooldown ${openMs}ms elapsed`);
+        if (e.state !== 'half_open') return;
+        const started = now();
+        try {
+          await probe(e.url);
+          e.ewmaMs = e.ewmaMs == null ? now() - started : e.ewmaMs * 0.8 + (now() - started) * 0.2;
+          if (++e.probeOk >= closeAfter) transition(e, 'closed', `${closeAfter} probes ok, ${now() - started}ms`);
+        } catch (err) {
+          transition(e, 'open', `probe failed: ${String(err?.message || err).slice(0, 80)}`);
+        }
+      }));
+    } finally {
+      probing = false;
+    }
+  };
+
+  return {
+    transitions,
+    start() {
+      if (!timer) {
+        timer = setInterval(probeAll, probeMs);
+        timer.unref?.();
+      }
+    },
+    stop() {
+      if (timer) clearInterval(timer);
+      timer = null;
+    },
+    available(url) {
+      return endpoints.get(url)?.state === 'closed';
+    },
+    // preferred while it is closed, else the best-scored closed endpoint (among those accept() allows);
+    // preferred when every breaker is open
+    pick(preferred, accept = () => true) {
+      if (this.available(preferred)) return preferred;
+      let best = null;
+      for (const e of endpoints.values()) {
+        if (e.state === 'closed' && accept(e.url) && (!best || score(e) < score(best))) best = e;
+      }
+      return best ? best.url : preferred;
+    },
+    report(url, ok, latencyMs) {
+      const e = endpoints.get(url);
+      if (!e) return;
+      e.sends++;
+      const sec = Math.floor(now() / 1000);
+      let b = e.window[e.window.length - 1];
+      if (b?.sec !== sec) {
+        b = { sec, ok: 0, err: 0 };
+        e.window.push(b);
+        trim(e);
+      }
+      if (ok) b.ok++;
+      else b.err++;
+      if (latencyMs != null) e.ewmaMs = e.ewmaMs == null ? latencyMs : e.ewmaMs * 0.8 + latencyMs * 0.2;
+      if (ok) {
+        e.consecutive = 0;
+        return;
+      }
+      e.errors++;
+      e.consecutive++;
+      if (e.state !== 'closed') return;
+      const { n, err } = samples(e);
+      const r = n ? err / n : 0;
+      if (e.consecutive >= failThreshold) transition(e, 'open', `${e.consecutive} consecutive errors`);
+      else if (n >= minSamples && r >= errorRate) transition(e, 'open', `error rate ${(r * 100).toFixed(0)}% over ${n} sends`);
+    },
+    summary() {
+      return [...endpoints.values()].map(e => ({
+        url: e.url,
+        state: e.state,
+        sends: e.sends,
+        errors: e.errors,
+        errorRate: Number(rate(e).toFixed(3)),
+        ewmaMs: e.ewmaMs == null ? null : Math.round(e.ewmaMs),
+        opens: e.opens
+      }));
+    }
+  };
+}
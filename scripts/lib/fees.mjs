@@ -0,0 +1,165 @@
+/**
+ * fees.mjs
+ * Fee helpers shared by the load tooling.
+ * - createFeeOracle keeps the latest baseFeePerGas in the background (one poller per process).
+ * - createTipStrategy / dynamicFeeFields build EIP-1559 (type-2) fee fields from the observed base fee.
+ * - createFeeReport aggregates effective gas price and tip per block from receipts,
+ *   plus blob gas used / blob base fee when blob (type-3) txs are included.
+ */
+import { parseUnits, formatUnits } from 'ethers';
+
+export const GWEI = 1_000_000_000n;
+
+// TX_TYPE 指定の正規化 (legacy=0 / 1559=2 / blob=3 / 7702=4)
+export function parseTxType(v) {
+  const s = String(v || 'legacy').trim().toLowerCase();
+  if (['0', '0x0', 'legacy'].includes(s)) return 0;
+  if (['2', '0x2', '1559', 'eip1559', 'dynamic'].includes(s)) return 2;
+  if (['3', '0x3', '4844', 'eip4844', 'blob'].includes(s)) return 3;
+  if (['4', '0x4', '7702', 'eip7702', 'setcode'].includes(s)) return 4;
+  throw new Error(`Unsupported TX_TYPE: ${v} (use legacy, 1559, blob or 7702)`);
+}
+
+export function gweiToWei(gwei) {
+  return parseUnits(String(gwei), 'gwei');
+}
+
+export function weiToGwei(wei, digits = 3) {
+  if (wei == null) return 'n/a';
+  return Number(formatUnits(wei, 'gwei')).toFixed(digits);
+}
+
+// Background poller for the latest baseFeePerGas (same timer pattern as createTokenBucket).
+// With blobs=true it also tracks eth_blobBaseFee for maxFeePerBlobGas.
+export function createFeeOracle(provider, { refreshMs = 1000, blobs = false } = {}) {
+  const oracle = { baseFee: null, blobBaseFee: null, blockNumber: null, timer: null };
+  const refresh = async () => {
+    try {
+      const blk = await provider.send('eth_getBlockByNumber', ['latest', false]);
+      if (blk && blk.baseFeePerGas != null) {
+        oracle.baseFee = BigInt(blk.baseFeePerGas);
+        oracle.blockNumber = Number(BigInt(blk.number));
+      }
+    } catch { /* keep last observed value */ }
+    if (!blobs) return;
+    try {
+      oracle.blobBaseFee = BigInt(await provider.send('eth_blobBaseFee', []));
+    } catch { /* keep last observed value */ }
+  };
+  oracle.start = async () => {
+    await refresh();
+    oracle.timer = setInterval(refresh, refreshMs);
+  };
+  oracle.stop = () => { if (oracle.timer) clearInterval(oracle.timer); };
+  return oracle;
+}
+
+/**
+ * Tip strategies (maxPriorityFeePerGas):
+ *   fixed   : tipGwei for every tx
+ *   spread  : tipGwei + workerIdx * stepGwei (mirrors the legacy per-worker gasPrice offset)
+ *   random  : uniform in [tipMinGwei, tipMaxGwei] (the third argument overrides Math.random, for seeded runs)
+ *   basefee : tipPct % of the observed base fee, never below tipGwei
+ */
+export function createTipStrategy({ strategy = 'fixed', tipGwei = 1, stepGwei = 0.1, tipMinGwei = 0, tipMaxGwei = 2, tipPct = 10 } = {}) {
+  const tip = gweiToWei(tipGwei);
+  const step = gweiToWei(stepGwei);
+  const min = gweiToWei(tipMinGwei);
+  const max = gweiToWei(tipMaxGwei);
+  const pct = BigInt(Math.round(Number(tipPct) * 100));
+  switch (String(strategy).toLowerCase()) {
+    case 'fixed':
+      return () => tip;
+    case 'spread':
+      return (workerIdx) => tip + BigInt(workerIdx) * step;
+    case 'random':
+      return (_workerIdx, _baseFee, random = Math.random) => {
+        const span = max > min ? max - min : 0n;
+        return min + (span * BigInt(Math.floor(random() * 1_000_000))) / 1_000_000n;
+      };
+    case 'basefee':
+      return (_workerIdx, baseFee) => {
+        const t = ((baseFee ?? 0n) * pct) / 10_000n;
+        return t > tip ? t : tip;
+      };
+    default:
+      throw new Error(`Unsupported TIP_STRATEGY: ${strategy} (use fixed, spread, random or basefee)`);
+  }
+}
+
+// maxFeePerGas = baseFee * multiplier + tip (headroom for base fee growth while the tx waits)
+export function dynamicFeeFields(baseFee, tip, multiplier = 2) {
+  const mult = BigInt(Math.round(Number(multiplier) * 100));
+  return {
+    type: 2,
+    maxPriorityFeePerGas: tip,
+    maxFeePerGas: ((baseFee ?? 0n) * mult) / 100n + tip
+  };
+}
+
+// maxFeePerBlobGas = blobBaseFee * multiplier, floored so the tx survives a few blocks of blob fee growth
+export function blobFeeFields(blobBaseFee, multiplier = 2, floor = GWEI) {
+  const mult = BigInt(Math.round(Number(multiplier) * 100));
+  const fee = ((blobBaseFee ?? 0n) * mult) / 100n;
+  return { maxFeePerBlobGas: fee > floor ? fee : floor };
+}
+
+// Same-nonce replacement: bump every fee field present on tx by pct (geth txpool needs >= 10%, blob pool >= 100%)
+export function bumpFees(tx, pct) {
+  const out = { ...tx };
+  for (const k of ['gasPrice', 'maxFeePerGas', 'maxPriorityFeePerGas', 'maxFeePerBlobGas']) {
+    if (tx[k] != null) out[k] = (BigInt(tx[k]) * BigInt(100 + pct) + 99n) / 100n;
+  }
+  return out;
+}
+
+// Per-block effective gas price / tip aggregation from raw (hex) receipts
+export function createFeeReport() {
+  const blocks = new Map(); // blockNumber -> { txs, sumEff, effs[], blobTxs, blobGasUsed, blobGasPrice }
+  return {
+    record(receipt) {
+      if (!receipt || receipt.blockNumber == null || receipt.effectiveGasPrice == null) return;
+      const bn = Number(BigInt(receipt.blockNumber));
+      const eff = BigInt(receipt.effectiveGasPrice);
+      const b = blocks.get(bn) || { txs: 0, sumEff: 0n, effs: [], blobTxs: 0, blobGasUsed: 0n, blobGasPrice: null };
+      b.txs++;
+      b.sumEff += eff;
+      b.effs.push(eff);
+      if (receipt.blobGasUsed != null) {
+        b.blobTxs++;
+        b.blobGasUsed += BigInt(receipt.blobGasUsed);
+        if (receipt.blobGasPrice != null) b.blobGasPrice = BigInt(receipt.blobGasPrice);
+      }
+      blocks.set(bn, b);
+    },
+    // Resolve baseFeePerGas per included block and derive tip = effectiveGasPrice - baseFee.
+    // Block-level blobGasUsed / excessBlobGas cover every blob in the block, not only ours.
+    async summarize(provider) {
+      const rows = [];
+      const nums = [...blocks.keys()].sort((a, b) => a - b);
+      for (const bn of nums) {
+        const b = blocks.get(bn);
+        let baseFee = null, blockBlobGasUsed = null, excessBlobGas = null;
+        try {
+          const blk = await provider.send('eth_getBlockByNumber', ['0x' + bn.toString(16), false]);
+          if (blk && blk.baseFeePerGas != null) baseFee = BigInt(blk.baseFeePerGas);
+          if (blk && blk.blobGasUsed != null) blockBlobGasUsed = BigInt(blk.blobGasUsed);
+          if (blk && blk.excessBlobGas != null) excessBlobGas = BigInt(blk.excessBlobGas);
+        } catch { /* leave unknown */ }
+        const avgEff = b.sumEff / BigInt(b.txs);
+        let minTip = null, maxTip = null, avgTip = null;
+        if (baseFee != null) {
+          const tips = b.effs.map(e => e - baseFee);
+          minTip = tips.reduce((a, t) => (t < a ? t : a), tips[0]);
+          maxTip = tips.reduce((a, t) => (t > a ? t : a), tips[0]);
+          avgTip = avgEff - baseFee;
+        }
+        rows.push({
+          block: bn, txs: b.txs, baseFee, avgEff, avgTip, minTip, maxTip,
+          blobTxs: b.blobTxs, blobGasUsed: b.blobGasUsed, blobGasPrice: b.blobGasPrice, blockBlobGasUsed, excessBlobGas
+        });
+      }
+      return rows;
+    }
+  };
+}
@@ -0,0 +1,124 @@
+/**
+ * funding.mjs
+ * Worker top-up engine for load-forward: one balance sweep, then every under-funded account is paid in
+ * FUND_BATCH_SIZE batches through the Disperse contract (contracts/Disperse.sol, plain transfers when it is missing),
+ * spread round robin over the funder keys. Each funder pipelines its nonces (no wait between sends); receipts are
+ * awaited once per round and only the accounts that were short get re-checked in the next round.
+ * Accounts that reject ETH (Disperse TransferSkipped, or a reverted plain transfer) are not retried and end up in
+ * stillShort / rejected.
+ */
+import { Interface } from 'ethers';
+import { loadArtifact, resolveDeployment, hasCode } from './contracts.mjs';
+
+// ~35k per fresh account (call + new account surcharge) plus calldata, measured on the EVM
+const DISPERSE_BASE_GAS = 45000n;
+const DISPERSE_GAS_PER_RECIPIENT = 36000n;
+const BALANCE_CHUNK = 200;
+
+// Disperse address when its code is on chain (recorded deployment or genesis predeploy), else null
+export async function resolveDisperse(provider, chainId) {
+  const artifact = loadArtifact('Disperse');
+  if (!artifact) return null;
+  const address = await resolveDeployment(provider, chainId, 'Disperse');
+  try {
+    return address && await hasCode(provider, address, artifact) ? address : null;
+  } catch {
+    return null;
+  }
+}
+
+async function balancesOf(provider, addresses) {
+  const out = [];
+  for (let k = 0; k < addresses.length; k += BALANCE_CHUNK) {
+    const chunk = addresses.slice(k, k + BALANCE_CHUNK);
+    out.push(...await Promise.all(chunk.map(a => provider.getBalance(a))));
+  }
+  return out;
+}
+
+function fundingJobs(short, { disperse, iface, batchSize }) {
+  if (!disperse) return short.map(({ address, topUp }) => ({ to: address, value: topUp, gasLimit: 21000n, count: 1 }));
+  const jobs = [];
+  for (let k = 0; k < short.length; k += batchSize) {
+    const batch = short.slice(k, k + batchSize);
+    jobs.push({
+      to: disperse,
+      value: batch.reduce((a, s) => a + s.topUp, 0n),
+      data: iface.encodeFunctionData('disperseEther', [batch.map(s => s.address), batch.map(s => s.topUp)]),
+      gasLimit: DISPERSE_BASE_GAS + DISPERSE_GAS_PER_RECIPIENT * BigInt(batch.length),
+      count: batch.length
+    });
+  }
+  return jobs;
+}
+
+// Recipients a mined funding tx did not pay: TransferSkipped logs of a Disperse batch, the target of a failed transfer
+function rejectedBy(receipt, job, { disperse, iface }) {
+  if (!disperse) return receipt.status === '0x1' || receipt.status === 1 ? [] : [job.to];
+  const out = [];
+  for (const l of receipt.logs || []) {
+    if (l.address?.toLowerCase() !== disperse.toLowerCase()) continue;
+    const ev = iface.parseLog(l);
+    if (ev?.name === 'TransferSkipped') out.push(ev.args.to);
+  }
+  return out;
+}
+
+/**
+ * fundAccounts({ provider, funders, chainId, addresses, target, feeFields, waitReceipt, disperse, batchSize, rounds, wait })
+ * funders: Wallets connected to provider; feeFields(): fee fields per tx; waitReceipt(hash): receipt promise.
+ * -> { checked, underfunded, txs, failedTxs, stillShort (addresses, null when not waited), rejected (addresses that
+ *    refuse ETH, also in stillShort), rounds, ms }
+ */
+export async function fundAccounts({ provider, funders, chainId, addresses, target, feeFields, waitReceipt, disperse = null, batchSize = 100, rounds = 2, wait = true, log = console.log }) {
+  const started = Date.now();
+  const result = { checked: addresses.length, underfunded: 0, txs: 0, failedTxs: 0, stillShort: [], rejected: [], rounds: 0, ms: 0 };
+  const iface = disperse ? new Interface(loadArtifact('Disperse').abi) : null;
+  const rejected = new Set();
+  let candidates = addresses;
+  for (let round = 0; ; round++) {
+    const balances = await balancesOf(provider, candidates);
+    const short = candidates.map((address, k) => ({ address, topUp: target - balances[k] })).filter(s => s.topUp > 0n);
+    if (round === 0) result.underfunded = short.length;
+    const retry = short.filter(s => !rejected.has(s.address.toLowerCase()));
+    if (retry.length === 0 || round >= rounds) {
+      result.stillShort = short.map(s => s.address);
+      break;
+    }
+    result.rounds++;
+    candidates = short.map(s => s.address);
+
+    const jobs = fundingJobs(retry, { disperse, iface, batchSize: Math.max(1, batchSize) });
+    const sent = [];
+    await Promise.all(funders.map(async (funder, f) => {
+      let nonce = await provider.getTransactionCount(funder.address, 'pending');
+      for (let j = f; j < jobs.length; j += funders.length) {
+        const { count, ...job } = jobs[j];
+        try {
+          const tx = await funder.sendTransaction({ ...job, ...feeFields(), nonce, chainId });
+          nonce++;
+          sent.push({ hash: tx.hash, job });
+        } catch (e) {
+          result.failedTxs++;
+          log(`fund failed from ${funder.address} (${count} account${count > 1 ? 's' : ''}): ${e?.shortMessage || e?.message}`);
+        }
+      }
+    }));
+    result.txs += sent.length;
+    if (!wait) {
+      // Nothing is confirmed yet, so a re-check would only see the old balances
+      result.stillShort = null;
+      break;
+    }
+    const receipts = await Promise.allSettled(sent.map(s => waitReceipt(s.hash)));
+    receipts.forEach((r, k) => {
+      if (r.status === 'rejected' || !(r.value.status === '0x1' || r.value.status === 1)) result.failedTxs++;
+      if (r.status === 'fulfilled') {
+        for (const a of rejectedBy(r.value, sent[k].job, { disperse, iface })) rejected.add(a.toLowerCase());
+      }
+    });
+  }
+  result.rejected = result.stillShort ? result.stillShort.filter(a => rejected.has(a.toLowerCase())) : [];
+  result.ms = Date.now() - started;
+  return result;
+}
@@ -0,0 +1,151 @@
+/**
+ * latency.mjs
+ * Per-transaction timing records for the load tooling.
+ * - submit_ms        : wall clock when the tx was handed to the RPC
+ * - block_number / block_ts_ms : inclusion block and its timestamp
+ * - receipt_ms       : wall clock when the receipt was observed
+ * - kind / gas_used  : workload mix entry (lib/workload.mjs) and receipt gasUsed
+ * - intended_ms      : open-loop slot time (OPEN_LOOP=1, see createOpenLoopScheduler in lib/schedule.mjs), else empty
+ * - endpoint         : RPC URL the tx was submitted to (origin node for scripts/tx-propagation.mjs)
+ * inclusion latency = block_ts_ms - submit_ms, receipt latency = receipt_ms - submit_ms; with an intended time
+ * send lag = submit_ms - intended_ms and scheduled latency = block_ts_ms - intended_ms (includes the generator's own delay).
+ * Records are written as CSV per process and re-read by load-parallel for the aggregate report.
+ */
+import fs from 'node:fs';
+import path from 'node:path';
+
+export const TX_CSV_COLUMNS = [
+  'hash', 'node', 'worker', 'nonce', 'submit_ms', 'block_number', 'block_ts_ms', 'receipt_ms',
+  'inclusion_latency_ms', 'receipt_latency_ms', 'status', 'kind', 'gas_used',
+  'intended_ms', 'send_lag_ms', 'scheduled_latency_ms', 'endpoint'
+];
+
+export function createTxLog({ node = 0 } = {}) {
+  const byHash = new Map();
+  return {
+    submitted(hash, submitMs, { worker, nonce, kind = null, intendedMs = null, endpoint = null } = {}) {
+      byHash.set(hash, { hash, node, worker, nonce, submit_ms: submitMs, block_number: null, block_ts_ms: null, receipt_ms: null, status: null, kind, gas_used: null, intended_ms: intendedMs, endpoint });
+    },
+    included(hash, { blockNumber, blockTimestampMs, receiptMs, status, gasUsed = null }) {
+      const r = byHash.get(hash);
+      if (!r) return;
+      r.block_number = blockNumber;
+      r.block_ts_ms = blockTimestampMs;
+      r.receipt_ms = receiptMs;
+      r.status = status;
+      r.gas_used = gasUsed;
+    },
+    get(hash) {
+      return byHash.get(hash) || null;
+    },
+    records() {
+      return [...byHash.values()].map(withLatencies);
+    }
+  };
+}
+
+function withLatencies(r) {
+  return {
+    ...r,
+    inclusion_latency_ms: r.block_ts_ms != null ? r.block_ts_ms - r.submit_ms : null,
+    receipt_latency_ms: r.receipt_ms != null ? r.receipt_ms - r.submit_ms : null,
+    send_lag_ms: r.intended_ms != null ? r.submit_ms - r.intended_ms : null,
+    scheduled_latency_ms: r.intended_ms != null && r.block_ts_ms != null ? r.block_ts_ms - r.intended_ms : null
+  };
+}
+
+// Nearest-rank percentile over a sorted numeric array
+export function percentile(sorted, p) {
+  if (sorted.length === 0) return null;
+  const rank = Math.ceil((p / 100) * sorted.length);
+  return sorted[Math.min(sorted.length - 1, Math.max(0, rank - 1))];
+}
+
+export function distribution(values) {
+  const sorted = values.filter(v => v != null && Number.isFinite(v)).sort((a, b) => a - b);
+  return {
+    n: sorted.length,
+    p50: percentile(sorted, 50),
+    p90: percentile(sorted, 90),
+    p95: percentile(sorted, 95),
+    p99: percentile(sorted, 99),
+    max: sorted.length ? sorted[sorted.length - 1] : null
+  };
+}
+
+export function summarizeLatency(records) {
+  const included = records.filter(r => r.block_number != null);
+  const summary = {
+    submitted: records.length,
+    included: included.length,
+    notIncluded: records.length - included.length,
+    inclusionMs: distribution(included.map(r => r.inclusion_latency_ms)),
+    receiptMs: distribution(included.map(r => r.receipt_latency_ms))
+  };
+  if (records.some(r => r.intended_ms != null)) {
+    summary.sendLagMs = distribution(records.map(r => r.send_lag_ms));
+    summary.scheduledMs = distribution(included.map(r => r.scheduled_latency_ms));
+  }
+  return summary;
+}
+
+// Per-second series relative to startMs: submissions by submit second, inclusions by block timestamp second,
+// and the inclusion latency distribution of the txs submitted in that second.
+export function timeSeries(records, startMs) {
+  const rows = new Map();
+  const row = (sec) => {
+    if (!rows.has(sec)) rows.set(sec, { sec, submitted: 0, included: 0, latencies: [] });
+    return rows.get(sec);
+  };
+  for (const r of records) {
+    const s = row(Math.floor((r.submit_ms - startMs) / 1000));
+    s.submitted++;
+    if (r.inclusion_latency_ms != null) s.latencies.push(r.inclusion_latency_ms);
+    if (r.block_ts_ms != null) row(Math.floor((r.block_ts_ms - startMs) / 1000)).included++;
+  }
+  return [...rows.values()].sort((a, b) => a.sec - b.sec).map(({ latencies, ...rest }) => {
+    const d = distribution(latencies);
+    return { ...rest, inclusion_p50_ms: d.p50, inclusion_p90_ms: d.p90, inclusion_p99_ms: d.p99, inclusion_max_ms: d.max };
+  });
+}
+
+function csvCell(v) { return v === null || v === undefined ? '' : String(v); }
+
+export function writeCsv(file, columns, rows) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  const lines = [columns.join(',')];
+  for (const r of rows) lines.push(columns.map(c => csvCell(r[c])).join(','));
+  fs.writeFileSync(file, lines.join('\n') + '\n');
+}
+
+export function readTxCsv(file) {
+  const [header, ...lines] = fs.readFileSync(file, 'utf8').split(/\r?\n/).filter(Boolean);
+  const cols = header.split(',');
+  return lines.map(line => {
+    const cells = line.split(',');
+    const r = {};
+    cols.forEach((c, k) => {
+      const v = cells[k];
+      r[c] = c === 'hash' || c === 'status' || c === 'kind' || c === 'endpoint' ? (v || null) : (v === '' || v === undefined ? null : Number(v));
+    });
+    return r;
+  });
+}
+
+// Writes <prefix>timeseries.csv / <prefix>latency.json into dir and returns the summary
+export function writeLatencyReport(dir, records, { startMs, prefix = '' } = {}) {
+  const t0 = startMs ?? (records.length ? records.reduce((m, r) => Math.min(m, r.submit_ms), Infinity) : Date.now());
+  const summary = summarizeLatency(records);
+  const series = timeSeries(records, t0);
+  writeCsv(path.join(dir, `${prefix}timeseries.csv`), ['sec', 'submitted', 'included', 'inclusion_p50_ms', 'inclusion_p90_ms', 'inclusion_p99_ms', 'inclusion_max_ms'], series);
+  fs.writeFileSync(path.join(dir, `${prefix}latency.json`), JSON.stringify({ startMs: t0, summary, series }, null, 2));
+  return summary;
+}
+
+export function formatLatencyLine(summary) {
+  const d = summary.inclusionMs, r = summary.receiptMs;
+  const line = `latency: included=${summary.included}/${summary.submitted} inclusion_ms p50=${d.p50 ?? 'n/a'} p90=${d.p90 ?? 'n/a'} p99=${d.p99 ?? 'n/a'} max=${d.max ?? 'n/a'} receipt_ms p50=${r.p50 ?? 'n/a'} p99=${r.p99 ?? 'n/a'}`;
+  if (!summary.scheduledMs) return line;
+  const s = summary.scheduledMs, l = summary.sendLagMs;
+  return `${line} scheduled_ms p50=${s.p50 ?? 'n/a'} p99=${s.p99 ?? 'n/a'} max=${s.max ?? 'n/a'} send_lag_ms p50=${l.p50 ?? 'n/a'} p99=${l.p99 ?? 'n/a'} max=${l.max ?? 'n/a'}`;
+}
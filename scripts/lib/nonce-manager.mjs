@@ -0,0 +1,113 @@
+/**
+ * nonce-manager.mjs
+ * Per-account nonce tracking for load workers with concurrent in-flight sends.
+ * - Every handed-out nonce is tracked until its receipt is seen (sending -> sent -> mined).
+ * - A send that never reached the pool releases its nonce; released nonces are re-filled first.
+ * - resync() compares eth_getTransactionCount latest with txpool_contentFrom (falls back to the
+ *   latest/pending delta when the txpool namespace is unavailable) to find gap nonces, and reports
+ *   the head-of-line tx for fee-bump replacement when it has been stuck for stuckMs.
+ * Counters (gaps / refills / replacements / resyncs / tooLow) are exposed for the run summary.
+ */
+
+export function createNonceManager({ address, stuckMs = 15000, graceMs = 2000 } = {}) {
+  let next = 0;
+  const inFlight = new Map(); // nonce -> { state: 'sending' | 'sent', hash, tx, sentAt }
+  const free = []; // ascending nonces waiting to be re-filled
+  const counters = { gaps: 0, refills: 0, replacements: 0, resyncs: 0, tooLow: 0 };
+
+  const addFree = (n) => {
+    if (free.includes(n)) return;
+    free.push(n);
+    free.sort((a, b) => a - b);
+  };
+
+  return {
+    counters,
+    async init(provider) {
+      next = await provider.getTransactionCount(address, 'pending');
+    },
+    acquire() {
+      let n;
+      if (free.length > 0) {
+        n = free.shift();
+        counters.refills++;
+      } else {
+        n = next++;
+      }
+      inFlight.set(n, { state: 'sending' });
+      return n;
+    },
+    sent(nonce, hash, tx) {
+      inFlight.set(nonce, { state: 'sent', hash, tx, sentAt: Date.now() });
+    },
+    replaced(nonce, hash, tx) {
+      counters.replacements++;
+      inFlight.set(nonce, { state: 'sent', hash, tx, sentAt: Date.now() });
+    },
+    mined(nonce) {
+      inFlight.delete(nonce);
+    },
+    // Send failed before the tx reached any pool: the nonce is free again
+    release(nonce) {
+      inFlight.delete(nonce);
+      addFree(nonce);
+    },
+    // Nonce is taken by something else (nonce too low / replacement underpriced): drop it for good
+    consumed(nonce) {
+      inFlight.delete(nonce);
+    },
+    inFlightCount() {
+      return inFlight.size;
+    },
+    async resync(provider) {
+      counters.resyncs++;
+      const latest = await provider.getTransactionCount(address, 'latest');
+      for (const [n, e] of inFlight) {
+        if (n < latest && e.state === 'sent') inFlight.delete(n);
+      }
+      while (free.length > 0 && free[0] < latest) free.shift();
+      if (next < latest) {
+        counters.tooLow++;
+        next = latest;
+      }
+
+      let poolNonces = null;
+      try {
+        const c = await provider.send('txpool_contentFrom', [address]);
+        poolNonces = new Set([...Object.keys(c?.pending || {}), ...Object.keys(c?.queued || {})].map(Number));
+      } catch { /* txpool namespace disabled: use the latest/pending delta below */ }
+      // A nonce mined between the two reads is in neither set: only nonces above the second read can be gaps
+      const minedNow = poolNonces ? Math.max(latest, await provider.getTransactionCount(address, 'latest')) : latest;
+
+      const now = Date.now();
+      const isCandidate = (n) => {
+        const e = inFlight.get(n);
+        if (e?.state === 'sending') return false; // still on the wire
+        if (e?.state === 'sent' && now - e.sentAt < graceMs) return false; // not propagated yet
+        return !free.includes(n);
+      };
+      const gaps = [];
+      if (poolNonces) {
+        for (let n = minedNow; n < next; n++) {
+          if (!poolNonces.has(n) && isCandidate(n)) gaps.push(n);
+        }
+      } else {
+        // pending count stops at the first missing nonce; re-filling it unblocks everything queued behind it
+        const pending = await provider.getTransactionCount(address, 'pending');
+        if (pending < next && isCandidate(pending)) gaps.push(pending);
+      }
+      for (const n of gaps) {
+        counters.gaps++;
+        inFlight.delete(n);
+        addFree(n);
+      }
+
+      const replace = [];
+      const head = inFlight.get(latest);
+      if (head?.state === 'sent' && head.tx && now - head.sentAt > stuckMs && (!poolNonces || poolNonces.has(latest))) {
+        replace.push({ nonce: latest, tx: head.tx, hash: head.hash });
+      }
+      return { latest, gaps, replace };
+    }
+  };
+}
@@ -0,0 +1,111 @@
+/**
+ * plan.mjs
+ * Seeded transaction plans for load-forward (LOAD_SEED=<any string>, PLAN=<file | run dir>).
+ * - createRng(seed, ...labels): independent deterministic streams (sfc32 keyed by keccak256(seed/labels)), one per
+ *   worker / the schedule / the blob pool, so a worker's k-th draw never depends on what other workers did first.
+ * - A plan is the full tx list of one load-forward process: per tx the worker, the offset from the run start and the
+ *   body (to, value, data, gas, plus tip / blob indices when those were drawn at random). JSONL, header first:
+ *     {"plan":1,"seed":"bench-1","node":0,"workers":4,"txType":0,"durationSec":60,"txs":12000,...}
+ *     {"w":0,"t":0.5,"kind":"forward","to":"0x..","value":"0x38d7ea4c68000","data":"0x..","gas":160000}
+ * Nonces and fee caps are not part of the plan: they follow the chain state of the run that replays it.
+ */
+import fs from 'node:fs';
+import path from 'node:path';
+import { keccak256, toUtf8Bytes, getBytes, toQuantity } from 'ethers';
+
+export const PLAN_VERSION = 1;
+
+// sfc32: 128-bit state, uniform floats in [0, 1)
+export function createRng(seed, ...labels) {
+  const h = getBytes(keccak256(toUtf8Bytes([String(seed), ...labels].join('/'))));
+  const word = (k) => ((h[k] << 24) | (h[k + 1] << 16) | (h[k + 2] << 8) | h[k + 3]) >>> 0;
+  let a = word(0), b = word(4), c = word(8), d = word(12);
+  const next = () => {
+    a >>>= 0; b >>>= 0; c >>>= 0; d >>>= 0;
+    let t = (a + b) | 0;
+    a = b ^ (b >>> 9);
+    b = (c + (c << 3)) | 0;
+    c = (c << 21) | (c >>> 11);
+    d = (d + 1) | 0;
+    t = (t + d) | 0;
+    c = (c + t) | 0;
+    return (t >>> 0) / 4294967296;
+  };
+  for (let k = 0; k < 12; k++) next(); // warm up away from the raw hash words
+  return next;
+}
+
+// randomBytes(n) replacement backed by an rng (for blob contents)
+export function seededBytes(rng) {
+  return (n) => {
+    const out = Buffer.alloc(n);
+    for (let k = 0; k < n; k += 4) {
+      const v = Math.floor(rng() * 4294967296);
+      for (let j = 0; j < 4 && k + j < n; j++) out[k + j] = (v >>> (8 * j)) & 0xff;
+    }
+    return out;
+  };
+}
+
+// PLAN may name the file itself or a run directory holding plan-node<N>.jsonl (load-parallel writes one per child)
+export function planFileFor(value, nodeIndex) {
+  return fs.existsSync(value) && fs.statSync(value).isDirectory() ? path.join(value, `plan-node${nodeIndex}.jsonl`) : value;
+}
+
+/**
+ * writePlan(file, header, queues): queues[w] = [{ dueMs, kind, to, value, data, gasLimit, tip, blobs }]
+ * Lines are written in due order across workers.
+ */
+export function writePlan(file, header, queues) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  const all = [];
+  queues.forEach((q, w) => { for (const e of q) all.push([w, e]); });
+  all.sort((x, y) => x[1].dueMs - y[1].dueMs);
+  const fd = fs.openSync(file, 'w');
+  try {
+    fs.writeSync(fd, JSON.stringify({ plan: PLAN_VERSION, ...header, workers: queues.length, txs: all.length }) + '\n');
+    const CHUNK = 2000;
+    for (let k = 0; k < all.length; k += CHUNK) {
+      const lines = all.slice(k, k + CHUNK).map(([w, e]) => JSON.stringify({
+        w,
+        t: Number(e.dueMs.toFixed(3)),
+        ...(e.kind ? { kind: e.kind } : {}),
+        to: e.to ?? null,
+        value: toQuantity(e.value ?? 0n),
+        ...(e.data && e.data !== '0x' ? { data: e.data } : {}),
+        gas: Number(e.gasLimit),
+        ...(e.tip != null ? { tip: toQuantity(e.tip) } : {}),
+        ...(e.blobs ? { blobs: e.blobs } : {})
+      }));
+      fs.writeSync(fd, lines.join('\n') + '\n');
+    }
+  } finally {
+    fs.closeSync(fd);
+  }
+}
+
+// -> { file, header, queues } with the same entry shape writePlan takes
+export function loadPlan(value, nodeIndex = 0) {
+  const file = planFileFor(value, nodeIndex);
+  const lines = fs.readFileSync(file, 'utf8').split(/\r?\n/).filter(l => l.trim());
+  let header;
+  try { header = JSON.parse(lines[0] || ''); } catch { header = null; }
+  if (!header || header.plan !== PLAN_VERSION) throw new Error(`plan ${file}: missing or unsupported header (expected {"plan":${PLAN_VERSION},...})`);
+  const queues = Array.from({ length: header.workers }, () => []);
+  for (let n = 1; n < lines.length; n++) {
+    let o;
+    try { o = JSON.parse(lines[n]); } catch { throw new Error(`plan ${file} line ${n + 1}: invalid JSON`); }
+    if (!queues[o.w]) throw new Error(`plan ${file} line ${n + 1}: worker ${o.w} outside workers=${header.workers}`);
+    queues[o.w].push({
+      dueMs: Number(o.t),
+      kind: o.kind ?? null,
+      to: o.to ?? null,
+      value: BigInt(o.value ?? 0),
+      data: o.data || '0x',
+      gasLimit: BigInt(o.gas),
+      tip: o.tip != null ? BigInt(o.tip) : null,
+      blobs: o.blobs ?? null
+    });
+  }
+  return { file, header, queues };
+}
@@ -0,0 +1,99 @@
+/**
+ * progress.mjs
+ * Structured progress channel between load-parallel and its load-forward children (Node IPC).
+ * Children send { type: 'progress' | 'final', node, t, sent, succ, reverted, dropped, unconfirmed, fail, failReasons, sending,
+ * awaitingReceipt }
+ * every PROGRESS_INTERVAL_MS and once at exit; the parent builds its live view and final totals from these
+ * messages instead of parsing stdout. Without an IPC channel (standalone run) the reporter is a no-op.
+ */
+
+// Short send-failure reason keys used in progress messages, the live view and the summaries
+export function failureReason(message) {
+  const msg = String(message || '');
+  if (/nonce too low/i.test(msg)) return 'nonce_too_low';
+  if (/replacement transaction underpriced/i.test(msg)) return 'replacement_underpriced';
+  if (/already known/i.test(msg)) return 'already_known';
+  if (/underpriced|fee cap|max fee per gas less than/i.test(msg)) return 'underpriced';
+  if (/insufficient funds/i.test(msg)) return 'insufficient_funds';
+  if (/txpool is full|exceeds the configured cap|queue full/i.test(msg)) return 'pool_full';
+  if (/tx-send-timeout|timeout/i.test(msg)) return 'timeout';
+  if (/connection|ECONNRESET|ECONNREFUSED|socket|closed/i.test(msg)) return 'connection';
+  return 'other';
+}
+
+/**
+ * Child side. snapshot() returns the current counters; final(extra) sends the last message and resolves
+ * once it has been handed to the channel, so callers can process.exit right after awaiting it.
+ */
+export function createProgressReporter({ node = 0, intervalMs = 1000, snapshot }) {
+  const enabled = typeof process.send === 'function' && process.connected;
+  let timer = null;
+  const message = (type, extra = {}) => ({ type, node, t: Date.now(), ...snapshot(), ...extra });
+  return {
+    enabled,
+    start() {
+      if (!enabled) return;
+      timer = setInterval(() => {
+        try { process.send(message('progress')); } catch { /* parent gone */ }
+      }, intervalMs);
+      timer.unref?.();
+    },
+    stop() {
+      if (timer) clearInterval(timer);
+      timer = null;
+    },
+    final(extra) {
+      this.stop();
+      if (!enabled) return Promise.resolve();
+      return new Promise((resolve) => {
+        const done = setTimeout(resolve, 1000); // never block the exit on a dead channel
+        try {
+          process.send(message('final', extra), () => { clearTimeout(done); resolve(); });
+        } catch {
+          clearTimeout(done);
+          resolve();
+        }
+      });
+    }
+  };
+}
+
+function formatReasons(reasons) {
+  const entries = Object.entries(reasons || {}).filter(([, v]) => v > 0).sort((a, b) => b[1] - a[1]);
+  return entries.length ? entries.map(([k, v]) => `${k}=${v}`).join(' ') : '-';
+}
+
+/**
+ * Parent side. update(idx, msg) stores each child's latest message; render() returns the live lines with
+ * per-node TPS (sent delta since the previous render), failures by reason and in-flight counts.
+ */
+export function createLiveView(nodes) {
+  const latest = new Map(); // idx -> last message
+  const previous = new Map(); // idx -> { t, sent, succ } at the previous render
+  return {
+    update(idx, msg) { latest.set(idx, msg); },
+    latest(idx) { return latest.get(idx) || null; },
+    render() {
+      const now = Date.now();
+      const lines = [];
+      const total = { sent: 0, succ: 0, reverted: 0, dropped: 0, fail: 0, sending: 0, awaitingReceipt: 0, sendTps: 0, succTps: 0, failReasons: {} };
+      for (let i = 0; i < nodes; i++) {
+        const m = latest.get(i);
+        if (!m) { lines.push(`  node${i}: (no progress yet)`); continue; }
+        const prev = previous.get(i);
+        const dt = prev ? (m.t - prev.t) / 1000 : 0;
+        const sendTps = dt > 0 ? (m.sent - prev.sent) / dt : 0;
+        const succTps = dt > 0 ? (m.succ - prev.succ) / dt : 0;
+        previous.set(i, { t: m.t, sent: m.sent, succ: m.succ });
+        const stale = now - m.t > 5000 ? ' (stale)' : '';
+        lines.push(`  node${i}: tps=${sendTps.toFixed(1)} incl_tps=${succTps.toFixed(1)} sent=${m.sent} succ=${m.succ} reverted=${m.reverted || 0} dropped=${m.dropped || 0} fail=${m.fail} inflight=${m.sending}+${m.awaitingReceipt} fails[${formatReasons(m.failReasons)}]${m.type === 'final' ? ' (done)' : stale}`);
+        for (const k of ['sent', 'succ', 'reverted', 'dropped', 'fail', 'sending', 'awaitingReceipt']) total[k] += m[k] || 0;
+        total.sendTps += sendTps;
+        total.succTps += succTps;
+        for (const [k, v] of Object.entries(m.failReasons || {})) total.failReasons[k] = (total.failReasons[k] || 0) + v;
+      }
+      lines.unshift(`[live] tps=${total.sendTps.toFixed(1)} incl_tps=${total.succTps.toFixed(1)} sent=${total.sent} succ=${total.succ} reverted=${total.reverted} dropped=${total.dropped} fail=${total.fail} inflight=${total.sending}+${total.awaitingReceipt} fails[${formatReasons(total.failReasons)}]`);
+      return lines;
+    }
+  };
+}
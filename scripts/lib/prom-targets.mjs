@@ -0,0 +1,158 @@
+/**
+ * prom-targets.mjs
+ * Prometheus instance -> container name, discovered instead of hard-coded so any number of sets works.
+ * - readComposeTopology parses docker-compose*.yml in the repo root (container_name, published ports and the metrics
+ *   port flags --metrics.port / --monitoring-port); only the few keys we need, no YAML dependency.
+ * - discoverPromTargets asks Prometheus for its active targets (/api/v1/targets, job / instance labels) and maps each
+ *   one to a container: a `container` / `container_name` label, an instance host that is a container name (scraped
+ *   inside the compose network), the published metrics port of a container, else <job>-<n> in instance order.
+ *   When Prometheus does not answer, the compose topology alone gives host.docker.internal:<published metrics port>,
+ *   the form prometheus/prometheus.yml uses.
+ * Container names follow the compose files: <kind>-<set>, e.g. geth-2 / prysm-2.
+ */
+import fs from 'node:fs';
+import path from 'node:path';
+
+const METRICS_PORT_FLAGS = [/--metrics\.port[= ](\d+)/, /--monitoring-port[= ](\d+)/];
+
+function splitContainer(name) {
+  const m = name.match(/^(.*?)-(\d+)$/);
+  return m ? { kind: m[1], set: Number(m[2]) } : { kind: name, set: null };
+}
+
+/**
+ * readComposeTopology(dir)
+ * -> [{ container, kind, set, metricsPort, hostMetricsPort, ports: { containerPort: hostPort } }]
+ */
+export function readComposeTopology(dir) {
+  const byContainer = new Map();
+  let files = [];
+  try { files = fs.readdirSync(dir).filter(f => /^docker-compose.*\.ya?ml$/.test(f)).sort(); } catch { return []; }
+  for (const f of files) {
+    let inServices = false;
+    let svc = null;
+    let inPorts = false;
+    const flush = () => {
+      if (!svc?.container) return;
+      const hostMetricsPort = svc.metricsPort != null ? svc.ports[svc.metricsPort] ?? null : null;
+      const prev = byContainer.get(svc.container);
+      // Same container in several files (docker-compose.yml and docker-compose-set<N>.yml): keep the one that publishes metrics
+      if (!prev || (prev.hostMetricsPort == null && hostMetricsPort != null)) {
+        byContainer.set(svc.container, { container: svc.container, ...splitContainer(svc.container), metricsPort: svc.metricsPort, hostMetricsPort, ports: svc.ports });
+      }
+    };
+    for (const raw of fs.readFileSync(path.join(dir, f), 'utf8').split(/\r?\n/)) {
+      const line = raw.replace(/\s+#.*$/, '');
+      if (/^\S/.test(line)) {
+        flush();
+        svc = null;
+        inServices = /^services:/.test(line);
+        continue;
+      }
+      if (!inServices) continue;
+      const service = line.match(/^ {2}([\w.-]+):\s*$/);
+      if (service) {
+        flush();
+        svc = { container: null, metricsPort: null, ports: {} };
+        inPorts = false;
+        continue;
+      }
+      if (!svc) continue;
+      const key = line.match(/^ {4}([\w_]+):\s*(.*)$/);
+      if (key) {
+        inPorts = key[1] === 'ports';
+        if (key[1] === 'container_name') svc.container = key[2].replace(/["']/g, '').trim();
+        continue;
+      }
+      for (const re of METRICS_PORT_FLAGS) {
+        const m = line.match(re);
+        if (m) svc.metricsPort = Number(m[1]);
+      }
+      const port = inPorts && line.match(/^\s+-\s*["']?(?:[\d.]+:)?(\d+):(\d+)(\/tcp)?["']?\s*$/);
+      if (port) svc.ports[Number(port[2])] = Number(port[1]);
+    }
+    flush();
+  }
+  return [...byContainer.values()].sort((a, b) => a.kind.localeCompare(b.kind) || (a.set ?? 0) - (b.set ?? 0));
+}
+
+function instancePort(instance) {
+  const m = String(instance).match(/:(\d+)$/);
+  return m ? Number(m[1]) : null;
+}
+
+function instanceHost(instance) {
+  return String(instance).replace(/:\d+$/, '');
+}
+
+/**
+ * discoverPromTargets({ prometheusUrl, composeDir, overrides, timeoutMs })
+ * overrides: { instance: container } applied last (PROM_INSTANCE_MAP).
+ * -> { source: 'prometheus' | 'compose', targets: [{ instance, job, container, kind, set, health }],
+ *      containerFor(instance), containers(kind) }
+ */
+export async function discoverPromTargets({ prometheusUrl, composeDir, overrides = {}, timeoutMs = 3000 }) {
+  const topology = readComposeTopology(composeDir);
+  const byName = new Map(topology.map(t => [t.container, t]));
+  const byHostPort = new Map(topology.filter(t => t.hostMetricsPort != null).map(t => [t.hostMetricsPort, t]));
+
+  let active = null;
+  try {
+    const res = await fetch(`${prometheusUrl.replace(/\/$/, '')}/api/v1/targets?state=active`, { signal: AbortSignal.timeout(timeoutMs) });
+    if (res.ok) {
+      const json = await res.json();
+      if (json.status === 'success') active = json.data?.activeTargets || [];
+    }
+  } catch { /* Prometheus not up: fall back to the compose files */ }
+
+  const targets = [];
+  if (active?.length) {
+    const unmatched = new Set(); // targets left for the <job>-<n> fallback
+    for (const t of active) {
+      const { job, instance } = t.labels || {};
+      if (!instance) continue;
+      const named = t.labels.container || t.labels.container_name || (byName.has(instanceHost(instance)) ? instanceHost(instance) : null);
+      const hit = named ? (byName.get(named) || { container: named, ...splitContainer(named) }) : byHostPort.get(instancePort(instance));
+      const target = { instance, job: job ?? null, container: hit?.container ?? null, kind: hit?.kind ?? null, set: hit?.set ?? null, health: t.health ?? null };
+      targets.push(target);
+      if (!hit) unmatched.add(target);
+    }
+    // <job>-<position among that job's targets by port>, skipping names a matched target already has
+    const taken = new Set(targets.map(t => t.container).filter(Boolean));
+    for (const job of new Set([...unmatched].map(t => t.job).filter(Boolean))) {
+      const list = targets.filter(t => t.job === job).sort((a, b) => (instancePort(a.instance) ?? 0) - (instancePort(b.instance) ?? 0) || a.instance.localeCompare(b.instance));
+      list.forEach((t, k) => {
+        if (!unmatched.has(t)) return;
+        let n = k + 1;
+        while (taken.has(`${job}-${n}`)) n++;
+        taken.add(`${job}-${n}`);
+        Object.assign(t, { container: `${job}-${n}`, kind: job, set: n });
+      });
+    }
+  } else {
+    for (const t of topology) {
+      if (t.hostMetricsPort == null) continue;
+      targets.push({ instance: `host.docker.internal:${t.hostMetricsPort}`, job: t.kind, container: t.container, kind: t.kind, set: t.set, health: null });
+    }
+  }
+  for (const [instance, container] of Object.entries(overrides)) {
+    const t = targets.find(x => x.instance === instance);
+    const fields = { container, ...splitContainer(container) };
+    if (t) Object.assign(t, fields);
+    else targets.push({ instance, job: null, ...fields, health: null });
+  }
+
+  const map = new Map(targets.filter(t => t.container).map(t => [t.instance, t.container]));
+  const byPort = new Map(targets.filter(t => t.container).map(t => [instancePort(t.instance), t.container]));
+  return {
+    source: active?.length ? 'prometheus' : 'compose',
+    targets,
+    // Exact instance first; otherwise the same port under another host spelling (localhost / 127.0.0.1 / host.docker.internal)
+    containerFor(instance) {
+      return map.get(instance) ?? byPort.get(instancePort(instance)) ?? null;
+    },
+    containers(kind) {
+      return [...new Set(targets.filter(t => t.container && (!kind || t.kind === kind)).map(t => t.container))];
+    }
+  };
+}
@@ -0,0 +1,74 @@
+/**
+ * replay.mjs
+ * Recorded transaction stream replay for load-forward (REPLAY=<file.jsonl>).
+ * One JSON object per line:
+ *   { "t": 1.25, "from": "0x..", "to": "0x..", "value": "0x..", "data": "0x..", "gas": 52000 }
+ * - t         seconds since the start of the recording, or "timestamp" (absolute unix seconds); both are made relative to the earliest tx
+ * - from      original sender; every distinct sender is remapped onto one worker key, so per-sender order is kept
+ * - to        recipient (null / missing = contract creation); recorded senders of the same shard are remapped too
+ * - value     wei (decimal or 0x hex, default 0), data (default 0x), gas (default: the caller's gas limit)
+ * Fees are not replayed: the caller prices every tx with its own fee settings.
+ */
+import fs from 'node:fs';
+
+function parseLine(line, n) {
+  let o;
+  try { o = JSON.parse(line); } catch { throw new Error(`replay line ${n}: invalid JSON`); }
+  if (!o.from) throw new Error(`replay line ${n}: "from" is required`);
+  const t = o.t != null ? Number(o.t) : (o.timestamp != null ? Number(o.timestamp) : NaN);
+  if (!Number.isFinite(t)) throw new Error(`replay line ${n}: "t" (or "timestamp") is required`);
+  return {
+    t,
+    from: String(o.from).toLowerCase(),
+    to: o.to ? String(o.to).toLowerCase() : null,
+    value: BigInt(o.value ?? 0),
+    data: o.data || o.input || '0x',
+    gas: o.gas != null ? BigInt(o.gas) : null
+  };
+}
+
+// -> { entries (sorted by t, t relative to the first tx), senders (first-appearance order), spanSec }
+export function loadTrace(file) {
+  const lines = fs.readFileSync(file, 'utf8').split(/\r?\n/);
+  const entries = [];
+  lines.forEach((line, i) => {
+    if (line.trim() && !line.trim().startsWith('#')) entries.push(parseLine(line, i + 1));
+  });
+  if (entries.length === 0) throw new Error(`replay: no transactions in ${file}`);
+  entries.sort((a, b) => a.t - b.t);
+  const t0 = entries[0].t; // replay starts with the first recorded tx
+  const senders = [];
+  const seen = new Set();
+  for (const e of entries) {
+    e.t -= t0;
+    if (!seen.has(e.from)) { seen.add(e.from); senders.push(e.from); }
+  }
+  return { entries, senders, spanSec: entries[entries.length - 1].t };
+}
+
+/**
+ * Splits a trace across load-parallel shards (sender k goes to shard k % shards) and this process's workers
+ * (round robin over the shard's senders). Returns per-worker queues of { dueMs, to, value, data, gasLimit }
+ * with dueMs = t / speed, and senderToWorker for the remapping summary.
+ */
+export function partitionTrace(trace, { workers, shard = 0, shards = 1, speed = 1, workerAddress, defaultGas }) {
+  const senderToWorker = new Map();
+  trace.senders.forEach((s, k) => {
+    if (k % shards !== shard) return;
+    senderToWorker.set(s, senderToWorker.size % workers);
+  });
+  const queues = Array.from({ length: workers }, () => []);
+  for (const e of trace.entries) {
+    const w = senderToWorker.get(e.from);
+    if (w == null) continue;
+    const toWorker = e.to != null ? senderToWorker.get(e.to) : undefined;
+    queues[w].push({
+      dueMs: (e.t / speed) * 1000,
+      to: toWorker != null ? workerAddress(toWorker) : e.to,
+      value: e.value,
+      data: e.data,
+      gasLimit: e.gas ?? defaultGas
+    });
+  }
+  return { queues, senderToWorker };
+}
@@ -0,0 +1,181 @@
+/**
+ * schedule.mjs
+ * Arrival-rate schedules for the load generators (replaces the single constant TARGET_TPS).
+ *
+ * A schedule is a JSON array of segments, given inline or as a path to a JSON file (optionally prefixed with @).
+ * Segments run back to back; a segment without "sec" takes an equal share of what is left of DURATION_SEC,
+ * and the final rate is held once the schedule runs out.
+ *   { "type": "constant", "tps": 50, "sec": 10 }
+ *   { "type": "ramp",     "from": 10, "to": 200, "sec": 60 }
+ *   { "type": "step",     "steps": [50, 100, 150], "stepSec": 20 }          (stepped plateaus)
+ *   { "type": "poisson",  "tps": 80, "sec": 30 }                             (exponential inter-arrival times)
+ *   { "type": "sine",     "base": 100, "amplitude": 50, "periodSec": 20, "sec": 60 }
+ *   { "type": "burst",    "base": 20, "peak": 300, "periodSec": 30, "burstSec": 3, "sec": 90 }
+ * Any segment may set "arrivals": "poisson" to draw Poisson arrivals around its rate instead of even spacing.
+ */
+import fs from 'node:fs';
+
+const TYPES = ['constant', 'ramp', 'step', 'poisson', 'sine', 'burst'];
+
+// Inline JSON ("[...]" / "{...}") or a file path ("@path" or "path.json")
+export function loadScheduleSpec(value) {
+  const v = String(value || '').trim();
+  if (!v) return null;
+  if (v.startsWith('[') || v.startsWith('{')) return JSON.parse(v);
+  const file = v.startsWith('@') ? v.slice(1) : v;
+  return JSON.parse(fs.readFileSync(file, 'utf8'));
+}
+
+function segmentRate(seg, u) {
+  switch (seg.type) {
+    case 'constant':
+    case 'poisson':
+      return seg.tps;
+    case 'ramp':
+      return seg.from + (seg.to - seg.from) * Math.min(1, u / seg.sec);
+    case 'step':
+      return seg.steps[Math.min(seg.steps.length - 1, Math.floor(u / seg.stepSec))];
+    case 'sine':
+      return Math.max(0, seg.base + seg.amplitude * Math.sin((2 * Math.PI * u) / seg.periodSec));
+    case 'burst':
+      return (u % seg.periodSec) < seg.burstSec ? seg.peak : seg.base;
+    default:
+      return 0;
+  }
+}
+
+function normalizeSegment(raw, i) {
+  const seg = { ...raw, type: String(raw.type || 'constant').toLowerCase() };
+  if (!TYPES.includes(seg.type)) throw new Error(`schedule[${i}]: unknown type "${raw.type}" (use ${TYPES.join(', ')})`);
+  const num = (k, def, positive = false) => {
+    const v = seg[k] ?? def;
+    if (!Number.isFinite(Number(v)) || Number(v) < 0) throw new Error(`schedule[${i}] (${seg.type}): "${k}" must be a non-negative number`);
+    // Durations and periods divide the segment time; 0 would turn the rate into NaN
+    if (positive && !(Number(v) > 0)) throw new Error(`schedule[${i}] (${seg.type}): "${k}" must be > 0`);
+    seg[k] = Number(v);
+  };
+  switch (seg.type) {
+    case 'constant': case 'poisson': num('tps'); break;
+    case 'ramp': num('from'); num('to'); break;
+    case 'step':
+      if (!Array.isArray(seg.steps) || seg.steps.length === 0) throw new Error(`schedule[${i}] (step): "steps" must be a non-empty array`);
+      seg.steps = seg.steps.map(Number);
+      num('stepSec', undefined, true);
+      if (seg.sec == null) seg.sec = seg.steps.length * seg.stepSec;
+      break;
+    case 'sine': num('base'); num('amplitude', 0); num('periodSec', undefined, true); break;
+    case 'burst': num('base', 0); num('peak'); num('periodSec', undefined, true); num('burstSec'); break;
+  }
+  if (seg.sec != null) num('sec', undefined, true);
+  seg.poisson = seg.type === 'poisson' || String(seg.arrivals || '').toLowerCase() === 'poisson';
+  return seg;
+}
+
+/**
+ * parseSchedule(spec, durationSec, scale) -> { segments, durationSec, scale, rateAt(tSec), isPoissonAt(tSec), describe() }
+ * scale multiplies every rate (load-parallel gives each node its share of the total schedule).
+ */
+export function parseSchedule(spec, durationSec, scale = 1) {
+  const list = Array.isArray(spec) ? spec : (Array.isArray(spec?.segments) ? spec.segments : [spec]);
+  const segments = list.map(normalizeSegment);
+  const fixed = segments.reduce((a, s) => a + (s.sec ?? 0), 0);
+  const open = segments.filter(s => s.sec == null);
+  const share = open.length ? Math.max(0, (durationSec - fixed) / open.length) : 0;
+  if (open.length && !(share > 0)) {
+    throw new Error(`schedule: no time left for ${open.length} segment(s) without "sec" (fixed segments take ${fixed}s of DURATION_SEC=${durationSec}s)`);
+  }
+  let t = 0;
+  for (const s of segments) {
+    if (s.sec == null) s.sec = share;
+    s.start = t;
+    t += s.sec;
+  }
+  const segmentAt = (tSec) => {
+    for (const s of segments) if (tSec < s.start + s.sec) return s;
+    return segments[segments.length - 1];
+  };
+  return {
+    segments,
+    durationSec,
+    scale,
+    rateAt(tSec) {
+      const s = segmentAt(tSec);
+      const u = Math.min(tSec - s.start, s.sec);
+      return Math.max(0, segmentRate(s, u)) * scale;
+    },
+    isPoissonAt(tSec) { return segmentAt(tSec).poisson; },
+    describe() {
+      return segments.map(s => `${s.type}${s.poisson && s.type !== 'poisson' ? '(poisson)' : ''}@${s.start}s+${s.sec}s`).join(' -> ') + (scale !== 1 ? ` x${scale.toFixed(3)}` : '');
+    }
+  };
+}
+
+/**
+ * Arrival process over a schedule: next() returns the next arrival offset in ms from the start
+ * (Infinity once past durationSec). The rate is integrated in 10 ms steps until one arrival's worth of
+ * "work" is accumulated: exactly 1 for evenly spaced arrivals, Exp(1) for Poisson segments (time rescaling,
+ * so ramps and bursts stay correct as inhomogeneous Poisson processes).
+ */
+const STEP_SEC = 0.01;
+
+export function createArrivalProcess(schedule, { random = Math.random } = {}) {
+  const endSec = schedule.durationSec;
+  let t = 0;
+  return {
+    next() {
+      let need = schedule.isPoissonAt(t) ? -Math.log(1 - random()) : 1;
+      while (t < endSec) {
+        const rate = schedule.rateAt(t);
+        let stepEnd = Math.min(endSec, (Math.floor(t / STEP_SEC) + 1) * STEP_SEC);
+        if (stepEnd <= t) stepEnd = Math.min(endSec, t + STEP_SEC);
+        const span = stepEnd - t;
+        if (rate > 0 && rate * span >= need) {
+          t += need / rate;
+          return t * 1000;
+        }
+        need -= rate * span;
+        t = stepEnd;
+      }
+      return Infinity;
+    }
+  };
+}
+
+/**
+ * Open-loop slots over a schedule: every arrival gets an intended send time (epoch ms) fixed up front, independent
+ * of how fast earlier sends complete, so a slow node shows up as latency instead of as a lower send rate.
+ * Workers claim() the next slot whenever they are free and report sent(intendedMs, sendMs); the lag between the two
+ * is the generator's own delay (coordinated omission made visible).
+ */
+export function createOpenLoopScheduler(schedule, { startMs = Date.now(), random = Math.random } = {}) {
+  const arrivals = createArrivalProcess(schedule, { random });
+  let nextAt = arrivals.next();
+  let claimed = 0;
+  const lags = [];
+  return {
+    schedule,
+    // -> intended send time (epoch ms), or null once the schedule (or untilMs) is exhausted
+    claim(untilMs = Infinity) {
+      if (!Number.isFinite(nextAt) || startMs + nextAt >= untilMs) return null;
+      const intendedMs = startMs + nextAt;
+      nextAt = arrivals.next();
+      claimed++;
+      return intendedMs;
+    },
+    sent(intendedMs, sendMs) {
+      lags.push(Math.max(0, sendMs - intendedMs));
+    },
+    // Slots that fell due before untilMs but were never claimed (the generator could not keep up at all)
+    missed(untilMs) {
+      let n = 0;
+      while (Number.isFinite(nextAt) && startMs + nextAt < untilMs) {
+        n++;
+        nextAt = arrivals.next();
+      }
+      return n;
+    },
+    stats() {
+      return { claimed, lags };
+    }
+  };
+}
@@ -0,0 +1,49 @@
+/**
+ * setcode.mjs
+ * EIP-7702 helpers for the set-code workload.
+ * - Worker EOAs delegate to a predeployed contract (default: BatchDelegate, contracts/BatchDelegate.sol) via signed
+ *   authorizations. Multicall3 offers the same aggregate3Value but no receive(): an EOA delegated to it rejects plain
+ *   ETH transfers, top-ups included, until it is delegated elsewhere.
+ * - Delegated EOAs are then called with aggregate3Value so one tx fans out into several value transfers.
+ * - Delegation state is checked with eth_getCode (0xef0100 || delegate address).
+ */
+import { Interface, getAddress } from 'ethers';
+
+// Multicall3 is part of the genesis alloc (see README "Utils")
+export const MULTICALL3_ADDRESS = '0xcA11bde05977b3631167028862bE2a173976CA11';
+export const DELEGATION_PREFIX = '0xef0100';
+// 7702 intrinsic cost per authorization tuple (PER_EMPTY_ACCOUNT_COST)
+export const PER_AUTH_GAS = 25000n;
+
+const multicallIface = new Interface([
+  'function aggregate3Value((address target, bool allowFailure, uint256 value, bytes callData)[] calls) payable returns ((bool success, bytes returnData)[] returnData)'
+]);
+
+export function delegationCode(delegate) {
+  return DELEGATION_PREFIX + getAddress(delegate).slice(2).toLowerCase();
+}
+
+export function isDelegatedTo(code, delegate) {
+  return typeof code === 'string' && code.toLowerCase() === delegationCode(delegate);
+}
+
+// Batched value transfers executed by the delegated EOA itself (msg.value must equal the sum of values)
+export function encodeBatchTransfers(recipients, value) {
+  const calls = recipients.map(target => ({ target, allowFailure: false, value, callData: '0x' }));
+  return multicallIface.encodeFunctionData('aggregate3Value', [calls]);
+}
+
+export async function signDelegation(wallet, delegate, nonce, chainId) {
+  return wallet.authorize({ address: delegate, nonce, chainId });
+}
+
+// eth_getCode per address -> { address, code, delegated }
+export async function checkDelegations(provider, addresses, delegate) {
+  const out = [];
+  for (const address of addresses) {
+    let code = null;
+    try { code = await provider.send('eth_getCode', [address, 'latest']); } catch { /* unknown */ }
+    out.push({ address, code, delegated: isDelegatedTo(code, delegate) });
+  }
+  return out;
+}
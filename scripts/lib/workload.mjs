@@ -0,0 +1,198 @@
+/**
+ * workload.mjs
+ * Weighted transaction mix for load-forward (WORKLOAD=<inline JSON | @file | file.json>, see scripts/workloads/).
+ *
+ * { "kinds": [ { "kind": "eth_transfer", "weight": 50, "value": { "min": "0.0001", "max": "0.01" } }, ... ] }
+ * Each entry picks a kind below, a relative weight, an optional "name" (results are keyed by it, default = kind)
+ * and per-kind parameters. "gas" overrides the kind's default gas limit. Numeric parameters and "value" (ETH)
+ * accept a fixed value, { "min", "max" } (uniform) or an array (uniform choice).
+ *   eth_transfer    value                       plain transfer to TRANSFER_RECIPIENTS
+ *   forward         value                       SimpleForwarder.forward(recipient)
+ *   erc20_transfer  amount (tokens)             LoadToken.transfer(recipient, amount)
+ *   storage_write   slots                       LoadTarget.store: `slots` fresh SSTOREs
+ *   compute         rounds                      LoadTarget.compute: keccak chain of `rounds`
+ *   create          artifact (LoadTarget)       contract creation with the artifact's init code
+ *   revert          -                           LoadTarget.fail: included with status 0
+ */
+import fs from 'node:fs';
+import { Interface, parseUnits } from 'ethers';
+import { loadArtifact } from './contracts.mjs';
+import { distribution } from './latency.mjs';
+
+const KINDS = {
+  eth_transfer: { contract: null, gas: () => 21000 },
+  // includes the new-account surcharge when the recipient is empty
+  forward: { contract: 'SimpleForwarder', gas: () => 80000 },
+  // first transfer of a sender also seeds its balance (~113k), later ones ~30k
+  erc20_transfer: { contract: 'LoadToken', gas: () => 130000 },
+  // ~22.1k per fresh slot plus the per-sender counter update
+  storage_write: { contract: 'LoadTarget', gas: (p) => 50000 + 25000 * p.slots },
+  // measured 23.5k + 120 per keccak round (hashed in scratch space, so no memory growth); ~25% headroom
+  compute: { contract: 'LoadTarget', gas: (p) => 30000 + 150 * p.rounds },
+  create: { contract: null, gas: () => 600000 },
+  revert: { contract: 'LoadTarget', gas: () => 40000 }
+};
+
+// Inline JSON ("[...]" / "{...}") or a file path ("@path" or "path.json")
+export function loadWorkloadSpec(value) {
+  const v = String(value || '').trim();
+  if (!v) return null;
+  if (v.startsWith('[') || v.startsWith('{')) return JSON.parse(v);
+  const file = v.startsWith('@') ? v.slice(1) : v;
+  return JSON.parse(fs.readFileSync(file, 'utf8'));
+}
+
+// Sampler for a fixed number, { min, max } or [choices]
+function numberSampler(spec, def, label) {
+  const v = spec ?? def;
+  if (Array.isArray(v)) {
+    const list = v.map(Number);
+    return (random) => list[Math.floor(random() * list.length)];
+  }
+  if (v && typeof v === 'object') {
+    const min = Number(v.min), max = Number(v.max);
+    if (!(max >= min)) throw new Error(`workload ${label}: need min <= max`);
+    return (random) => Math.round(min + (max - min) * random());
+  }
+  if (!Number.isFinite(Number(v))) throw new Error(`workload ${label}: not a number`);
+  return () => Number(v);
+}
+
+// [smallest, largest] value a numeric parameter can take (fixed, { min, max } or [choices])
+function rangeOf(spec, def) {
+  const v = spec ?? def;
+  if (Array.isArray(v)) return [Math.min(...v.map(Number)), Math.max(...v.map(Number))];
+  if (v && typeof v === 'object') return [Number(v.min), Number(v.max)];
+  return [Number(v), Number(v)];
+}
+
+// Same shapes in ETH (or token units for erc20 amount), sampled as wei
+function weiSampler(spec, def, label, decimals = 18) {
+  const v = spec ?? def;
+  const parse = (x) => parseUnits(String(x), decimals);
+  if (Array.isArray(v)) {
+    const list = v.map(parse);
+    return (random) => list[Math.floor(random() * list.length)];
+  }
+  if (v && typeof v === 'object') {
+    const min = parse(v.min), max = parse(v.max);
+    if (max < min) throw new Error(`workload ${label}: need min <= max`);
+    return (random) => min + ((max - min) * BigInt(Math.floor(random() * 1_000_000))) / 1_000_000n;
+  }
+  const fixed = parse(v);
+  return () => fixed;
+}
+
+function normalizeEntry(raw, i, defaultValueEth) {
+  const kind = String(raw.kind || '').toLowerCase();
+  if (!KINDS[kind]) throw new Error(`workload[${i}]: unknown kind "${raw.kind}" (use ${Object.keys(KINDS).join(', ')})`);
+  const weight = Number(raw.weight ?? 1);
+  if (!(weight >= 0)) throw new Error(`workload[${i}] (${kind}): weight must be >= 0`);
+  const label = `[${i}] (${kind})`;
+  const entry = { name: raw.name || kind, kind, weight, contract: KINDS[kind].contract, raw };
+  entry.value = ['eth_transfer', 'forward'].includes(kind) ? weiSampler(raw.value, defaultValueEth, `${label} value`) : () => 0n;
+  entry.amount = weiSampler(raw.amount, 1, `${label} amount`);
+  entry.slots = numberSampler(raw.slots, 5, `${label} slots`);
+  entry.rounds = numberSampler(raw.rounds, 1000, `${label} rounds`);
+  entry.gas = raw.gas != null ? numberSampler(raw.gas, null, `${label} gas`) : null;
+  // Costliest parameters the entry can draw and the lowest gas limit it can get for them (check-workload-gas.mjs)
+  entry.maxParams = { slots: rangeOf(raw.slots, 5)[1], rounds: rangeOf(raw.rounds, 1000)[1] };
+  entry.maxParamsGasLimit = raw.gas != null ? rangeOf(raw.gas)[0] : KINDS[kind].gas(entry.maxParams);
+  if (kind === 'create') {
+    const artifact = loadArtifact(raw.artifact || 'LoadTarget');
+    if (!artifact) throw new Error(`workload${label}: artifact ${raw.artifact || 'LoadTarget'} not found in contracts/build`);
+    entry.initCode = artifact.bytecode;
+  }
+  return entry;
+}
+
+/**
+ * createWorkload(spec, { defaultValueEth, random }) -> { entries, contracts, bind(addresses), pick(rng), build(entry, ctx), describe() }
+ * bind() must be called with { SimpleForwarder, LoadTarget, LoadToken } addresses for the contracts listed in `contracts`.
+ * pick(rng) / build(entry, { random }) take a per-caller rng (seeded runs give every worker its own stream).
+ */
+export function createWorkload(spec, { defaultValueEth = '0.001', random = Math.random } = {}) {
+  const list = Array.isArray(spec) ? spec : spec?.kinds;
+  if (!Array.isArray(list) || list.length === 0) throw new Error('workload: expected a non-empty "kinds" array');
+  const entries = list.map((raw, i) => normalizeEntry(raw, i, defaultValueEth));
+  const names = new Set();
+  for (const e of entries) {
+    if (names.has(e.name)) throw new Error(`workload: duplicate name "${e.name}" (set "name" to tell entries of the same kind apart)`);
+    names.add(e.name);
+  }
+  const total = entries.reduce((a, e) => a + e.weight, 0);
+  if (!(total > 0)) throw new Error('workload: total weight must be > 0');
+  const ifaces = {};
+  const addresses = {};
+  const iface = (name) => (ifaces[name] ||= new Interface(loadArtifact(name).abi));
+
+  return {
+    entries,
+    contracts: [...new Set(entries.map(e => e.contract).filter(Boolean))],
+    bind(resolved) { Object.assign(addresses, resolved); },
+    pick(rng = random) {
+      let r = rng() * total;
+      for (const e of entries) {
+        r -= e.weight;
+        if (r < 0) return e;
+      }
+      return entries[entries.length - 1];
+    },
+    // -> { to, data, value, gasLimit } for one tx of this entry
+    build(e, { recipient, random: rng = random }) {
+      const p = { slots: e.slots(rng), rounds: e.rounds(rng) };
+      const gasLimit = BigInt(e.gas ? e.gas(rng) : KINDS[e.kind].gas(p));
+      const value = e.value(rng);
+      const seed = BigInt(Math.floor(rng() * 2 ** 48));
+      switch (e.kind) {
+        case 'eth_transfer':
+          return { to: recipient, value, gasLimit };
+        case 'forward':
+          return { to: addresses.SimpleForwarder, value, gasLimit, data: iface('SimpleForwarder').encodeFunctionData('forward', [recipient]) };
+        case 'erc20_transfer':
+          return { to: addresses.LoadToken, value, gasLimit, data: iface('LoadToken').encodeFunctionData('transfer', [recipient, e.amount(rng)]) };
+        case 'storage_write':
+          return { to: addresses.LoadTarget, value, gasLimit, data: iface('LoadTarget').encodeFunctionData('store', [p.slots, seed]) };
+        case 'compute':
+          return { to: addresses.LoadTarget, value, gasLimit, data: iface('LoadTarget').encodeFunctionData('compute', [p.rounds, '0x' + seed.toString(16).padStart(64, '0')]) };
+        case 'create':
+          return { to: null, value, gasLimit, data: e.initCode };
+        case 'revert':
+          return { to: addresses.LoadTarget, value, gasLimit, data: iface('LoadTarget').encodeFunctionData('fail', [seed]) };
+      }
+      throw new Error(`workload: unhandled kind ${e.kind}`);
+    },
+    describe() {
+      return entries.map(e => `${e.name}=${((e.weight / total) * 100).toFixed(1)}%`).join(' ');
+    }
+  };
+}
+
+// Per-kind rows from tx records (kind / status / gas_used / inclusion_latency_ms) plus send failures per kind
+export function summarizeByKind(records, sendFailures = {}) {
+  const rows = new Map();
+  const row = (name) => {
+    if (!rows.has(name)) rows.set(name, { kind: name, submitted: 0, sendFail: 0, included: 0, ok: 0, reverted: 0, gasUsed: 0, latencies: [] });
+    return rows.get(name);
+  };
+  for (const r of records) {
+    const k = row(r.kind || 'default');
+    k.submitted++;
+    if (r.block_number == null) continue;
+    k.included++;
+    if (r.status === 'ok') k.ok++; else k.reverted++;
+    k.gasUsed += Number(r.gas_used || 0);
+    k.latencies.push(r.inclusion_latency_ms);
+  }
+  for (const [name, n] of Object.entries(sendFailures)) row(name).sendFail += n;
+  return [...rows.values()].map(({ latencies, gasUsed, ...rest }) => ({
+    ...rest,
+    avgGasUsed: rest.included > 0 ? Math.round(gasUsed / rest.included) : null,
+    totalGasUsed: gasUsed,
+    inclusionMs: distribution(latencies)
+  }));
+}
+
+export function formatKindLine(k) {
+  return `kind: ${k.kind} submitted=${k.submitted} sendFail=${k.sendFail} included=${k.included} ok=${k.ok} reverted=${k.reverted} avgGasUsed=${k.avgGasUsed ?? 'n/a'} inclusion_ms p50=${k.inclusionMs.p50 ?? 'n/a'} p99=${k.inclusionMs.p99 ?? 'n/a'}`;
+}
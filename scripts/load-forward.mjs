@@ -1,14 +1,71 @@
 #!/usr/bin/env node
 /**
  * SimpleForwarder load generator using ethers v6.
- * - Concurrent workers each send signed tx calling forward(recipient) on predeployed SimpleForwarder.
+ * - Concurrent workers each send signed tx calling forward(recipient) on SimpleForwarder (contracts/SimpleForwarder.sol);
+ *   its address comes from SIMPLE_FORWARDER_ADDRESS or contracts/deployments.json (genesis predeploy / deploy-contracts.mjs).
  * - Rotates across WS and HTTP RPC endpoints with sticky per-worker selection and failure fallback.
- * - Funds worker wallets on first run using deployer key if balances are low.
+ * - Worker keys come from lib/accounts.mjs (HD mnemonic shared with genesis-fund-workers.mjs, index = worker + ACCOUNT_OFFSET).
+ * - Funds under-funded workers before the run (lib/funding.mjs): Disperse batches from DEPLOYER_PK / FUNDER_KEYS with
+ *   pipelined nonces and one confirmation wait, then a re-check of the accounts that were short.
+ * - TX_TYPE=1559 sends type-2 txs priced from the observed baseFeePerGas plus TIP_STRATEGY,
+ *   and prints effective gas price / tip per block at the end.
+ * - TX_TYPE=blob sends type-3 txs carrying BLOBS_PER_TX locally built blobs (KZG via kzg-wasm)
+ *   and additionally reports blob gas used / blob base fee per block.
+ * - TX_TYPE=7702 delegates every worker EOA to SETCODE_DELEGATE (default: BatchDelegate predeploy) with type-4
+ *   authorizations (verified via eth_getCode), then each tx calls the worker itself so the delegated code fans out
+ *   SETCODE_BATCH_CALLS transfers. The delegation stays after the run; the delegate must accept plain ETH or the
+ *   worker can no longer be topped up.
+ * - Records submit time / inclusion block / block timestamp / receipt time per tx and writes
+ *   txs-node<NODE_INDEX>.csv plus latency percentiles and a per-second series under LOAD_RUN_DIR.
+ * - LOAD_SCHEDULE (inline JSON or JSON file, see lib/schedule.mjs) drives the token bucket with ramps, steps,
+ *   Poisson arrivals, sine waves or bursts instead of a constant TARGET_TPS; LOAD_SCHEDULE_SCALE scales it.
+ * - OPEN_LOOP=1 replaces the token bucket with intended send times per tx (open loop, no coordinated omission):
+ *   latency is also measured from the intended time, send lag is reported ("schedule:") and a warning names the
+ *   generator as the bottleneck when sends fall behind.
+ * - LOAD_SEED fixes the tx plan (lib/plan.mjs): each worker draws mix / values / calldata / random tips from its own
+ *   seeded stream, and with TARGET_TPS or LOAD_SCHEDULE the send times too; the plan is exported as
+ *   LOAD_RUN_DIR/plan-node<NODE_INDEX>.jsonl (PLAN_OUT) and PLAN=<file | run dir> re-runs it exactly.
+ * - Each worker owns a nonce manager (lib/nonce-manager.mjs): failed sends release their nonce for re-fill,
+ *   NONCE_RESYNC_MS resyncs detect pool gaps and fee-bump stuck head txs; counters are printed as "nonce:".
+ * - Receipts come from one block follower (lib/block-follower.mjs): newHeads over WS (or BLOCK_POLL_MS polling)
+ *   and a single eth_getBlockReceipts per block, instead of polling every tx hash. newHeads silent for
+ *   HEADS_STALL_MS (default 3 slots of SECONDS_PER_SLOT) falls back to polling, so a restarted node does not stall receipts.
+ * - WORKLOAD (inline JSON or JSON file, see lib/workload.mjs and scripts/workloads/) replaces the single tx shape with a
+ *   weighted mix (ETH / ERC-20 transfers, storage writes, compute, creates, reverts) with per-kind gas and value,
+ *   and prints a per-kind breakdown ("kind:" lines) at the end.
+ * - REPLAY=<file.jsonl> replays a recorded tx stream (lib/replay.mjs) at REPLAY_SPEED x the original pace, with every
+ *   recorded sender remapped onto a worker key; DURATION_SEC defaults to the (scaled) trace length. Replayed txs
+ *   carry their own to / data, so SimpleForwarder is not needed. LOAD_START_MS (load-parallel) aligns the shards' clocks.
+ * - Under load-parallel, progress and final stats go to the parent over Node IPC (lib/progress.mjs) every
+ *   PROGRESS_INTERVAL_MS; the "done:" line stays for humans only.
+ * - RPC failover goes through an endpoint pool (lib/endpoint-pool.mjs): per-URL latency / error rate, a circuit breaker
+ *   that takes failing nodes out of rotation, background probes that bring them back, and timestamped "[endpoint]"
+ *   transition logs (also in LOAD_RUN_DIR/endpoints-node<NODE_INDEX>.json) to line up with node restarts.
+ * - Outcomes: send failures are counted by cause (nonce too low, replacement underpriced, insufficient funds, pool full,
+ *   timeout, connection); accepted txs end as succ (status 1), reverted (status 0), dropped (known to no node, the one it
+ *   was sent to first, and without a receipt) or unconfirmed (still pooled when the receipt wait ran out or the run ended;
+ *   DROP_CHECK_MAX lookups at exit, DROP_CHECK_CONCURRENCY at a time).
  */
 import { JsonRpcProvider, WebSocketProvider, Wallet, Interface, parseEther, toQuantity } from 'ethers';
 import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import { parseTxType, createFeeOracle, createTipStrategy, dynamicFeeFields, blobFeeFields, bumpFees, createFeeReport, weiToGwei, gweiToWei } from './lib/fees.mjs';
+import { createBlobPool, readBlobSchedule, GAS_PER_BLOB } from './lib/blobs.mjs';
+import { PER_AUTH_GAS, encodeBatchTransfers, signDelegation, checkDelegations } from './lib/setcode.mjs';
+import { createTxLog, writeCsv, writeLatencyReport, formatLatencyLine, distribution, TX_CSV_COLUMNS } from './lib/latency.mjs';
+import { loadScheduleSpec, parseSchedule, createArrivalProcess, createOpenLoopScheduler } from './lib/schedule.mjs';
+import { createNonceManager } from './lib/nonce-manager.mjs';
+import { createBlockFollower } from './lib/block-follower.mjs';
+import { failureReason, createProgressReporter } from './lib/progress.mjs';
+import { hasCode, resolveDeployment } from './lib/contracts.mjs';
+import { loadWorkloadSpec, createWorkload, summarizeByKind, formatKindLine } from './lib/workload.mjs';
+import { loadTrace, partitionTrace } from './lib/replay.mjs';
+import { createAccountSource } from './lib/accounts.mjs';
+import { fundAccounts, resolveDisperse } from './lib/funding.mjs';
+import { createEndpointPool } from './lib/endpoint-pool.mjs';
+import { createRng, seededBytes, writePlan, loadPlan } from './lib/plan.mjs';
+import WebSocket from 'ws';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -27,51 +84,335 @@ function resolveAbiPath() {
 let simpleIface = null;
 
 // Config
-const DURATION_SEC = Number(process.env.DURATION_SEC || 20);
+// Trace replay: loaded up front because the trace length is the default duration
+const REPLAY_TRACE = process.env.REPLAY ? loadTrace(process.env.REPLAY) : null;
+const REPLAY_SPEED = Number(process.env.REPLAY_SPEED || 1);
+const LOAD_START_MS = Number(process.env.LOAD_START_MS || 0);
+let replayQueues = null; // per-worker queues, built in prepareReplayIfNeeded
+// Seeded plan (lib/plan.mjs): PLAN re-runs an exported plan (its seed and duration come with it), LOAD_SEED builds one
+const PLAN = process.env.PLAN ? loadPlan(process.env.PLAN, Number(process.env.NODE_INDEX || 0)) : null;
+const LOAD_SEED = PLAN ? String(PLAN.header.seed) : (process.env.LOAD_SEED || null);
+let planQueues = null; // per-worker queues, built (or loaded) in preparePlanIfNeeded
+const DURATION_SEC = Number(process.env.DURATION_SEC || (REPLAY_TRACE ? Math.ceil(REPLAY_TRACE.spanSec / REPLAY_SPEED) + 1 : (PLAN ? PLAN.header.durationSec : 20)));
 const WORKERS = Number(process.env.WORKERS || 4);
 const INFLIGHT_PER_WORKER = Number(process.env.INFLIGHT_PER_WORKER || 4);
 const TARGET_TPS = Number(process.env.TARGET_TPS || 0); // 0 = unlimited
 const BUCKET_INTERVAL_MS = Number(process.env.BUCKET_INTERVAL_MS || 100);
 const BURST_MULTIPLIER = Number(process.env.BURST_MULTIPLIER || 2);
+// Arrival-rate schedule (takes precedence over TARGET_TPS when set)
+// OPEN_LOOP=1: every tx of TARGET_TPS / LOAD_SCHEDULE gets an intended send time up front; sends are not held back by
+// slow earlier sends (up to OPEN_LOOP_MAX_INFLIGHT per worker) and latency / lag are measured from that time
+const OPEN_LOOP = process.env.OPEN_LOOP === '1' || process.env.OPEN_LOOP === 'true';
+const OPEN_LOOP_MAX_INFLIGHT = Number(process.env.OPEN_LOOP_MAX_INFLIGHT || 64);
+const OPEN_LOOP_LAG_WARN_MS = Number(process.env.OPEN_LOOP_LAG_WARN_MS || 100);
+const LOAD_SCHEDULE = process.env.LOAD_SCHEDULE ? parseSchedule(loadScheduleSpec(process.env.LOAD_SCHEDULE), DURATION_SEC, Number(process.env.LOAD_SCHEDULE_SCALE || 1)) : null;
 const VALUE_ETH = process.env.VALUE_ETH || '0.001';
+// Weighted tx mix (replaces DIRECT_TRANSFER / forward when set); contract addresses are bound in main
+const WORKLOAD = process.env.WORKLOAD ? createWorkload(loadWorkloadSpec(process.env.WORKLOAD), { defaultValueEth: VALUE_ETH }) : null;
 const GAS_LIMIT = Number(process.env.GAS_LIMIT || 160000);
 const GAS_PRICE_GWEI = Number(process.env.GAS_PRICE_GWEI || 1);
 const URL_OFFSET = Number(process.env.URL_OFFSET || 0);
 const ACCOUNT_OFFSET = Number(process.env.ACCOUNT_OFFSET || 0);
+// Worker keys: HD accounts from WORKER_MNEMONIC / config/worker-accounts.json (lib/accounts.mjs); legacy sequential keys only with WORKER_ACCOUNTS=legacy
+const ACCOUNTS = createAccountSource();
 let RPC_URLS = (process.env.RPC_URLS || 'ws://127.0.0.1:8546,ws://127.0.0.1:8549,ws://127.0.0.1:8550,http://127.0.0.1:8545,http://127.0.0.1:8547,http://127.0.0.1:8548')
   .split(/[\s,]+/).filter(Boolean);
 const ONLY_HTTP = process.env.ONLY_HTTP === '1' || process.env.ONLY_HTTP === 'true';
 if (ONLY_HTTP) {
   RPC_URLS = RPC_URLS.filter(u => u.startsWith('http'));
 }
-const SIMPLE_FORWARDER_ADDRESS = process.env.SIMPLE_FORWARDER_ADDRESS || resolveContractAddress();
+let SIMPLE_FORWARDER_ADDRESS = process.env.SIMPLE_FORWARDER_ADDRESS || null; // resolved per chain in ensureForwarderReadyIfNeeded
 const RECIPIENTS = (process.env.TRANSFER_RECIPIENTS || '0x70997970c51812dc3a010c7d01b50e0d17dc79c8,0x3c44cdddb6a900fa2b585dd299e03d12fa4293bc,0x15d34aaf54267db7d7c367839aaf71a00a2c6a65')
   .split(/[\s,]+/).filter(Boolean).map(a => a.trim().toLowerCase());
 const FUND_TARGET_ETH = process.env.WORKER_TARGET_ETH || '200';
 const FUND_WORKERS = process.env.FUND_WORKERS === '0' || process.env.FUND_WORKERS === 'false' ? false : true;
 const FUND_TOP_N = Number(process.env.FUND_TOP_N || WORKERS);
 const FUND_WAIT = process.env.FUND_WAIT === '0' || process.env.FUND_WAIT === 'false' ? false : true;
+// Funding engine: extra funder keys next to DEPLOYER_PK, recipients per Disperse tx, top-up rounds (FUND_DISPERSE=0: plain transfers)
+const FUNDER_KEYS = (process.env.FUNDER_KEYS || '').split(/[\s,]+/).filter(Boolean);
+const FUND_BATCH_SIZE = Number(process.env.FUND_BATCH_SIZE || 100);
+const FUND_ROUNDS = Number(process.env.FUND_ROUNDS || 2);
+const FUND_DISPERSE = process.env.FUND_DISPERSE === '0' || process.env.FUND_DISPERSE === 'false' ? false : true;
 const DEPLOYER_PK = process.env.DEPLOYER_PK || process.env.CONTRACT_DEPLOYER_PK;
+// Fee market (TX_TYPE=1559): maxFeePerGas = baseFee * MAX_FEE_MULTIPLIER + tip
+const TX_TYPE = parseTxType(process.env.TX_TYPE);
+const TIP_STRATEGY = process.env.TIP_STRATEGY || 'fixed';
+const MAX_FEE_MULTIPLIER = Number(process.env.MAX_FEE_MULTIPLIER || 2);
+const BASEFEE_REFRESH_MS = Number(process.env.BASEFEE_REFRESH_MS || 1000);
+const FEE_SUMMARY = process.env.FEE_SUMMARY === '0' || process.env.FEE_SUMMARY === 'false' ? false : true;
+const tipFor = createTipStrategy({
+  strategy: TIP_STRATEGY,
+  tipGwei: process.env.TIP_GWEI || 1,
+  stepGwei: process.env.TIP_STEP_GWEI || 0.1,
+  tipMinGwei: process.env.TIP_MIN_GWEI || 0,
+  tipMaxGwei: process.env.TIP_MAX_GWEI || 2,
+  tipPct: process.env.TIP_PCT || 10
+});
+const TX_TYPE_NAMES = { 0: 'legacy', 2: '1559', 3: 'blob', 4: '7702' };
+let feeOracle = null;
+const feeReport = createFeeReport();
+// Blob workload (TX_TYPE=blob): sidecars are built once and rotated across txs
+const BLOBS_PER_TX = Number(process.env.BLOBS_PER_TX || 1);
+const BLOB_POOL_SIZE = Number(process.env.BLOB_POOL_SIZE || 4);
+const BLOB_POOL_SIZE_EFFECTIVE = PLAN?.header.blobPoolSize ?? Math.max(BLOB_POOL_SIZE, BLOBS_PER_TX);
+const BLOB_FEE_MULTIPLIER = Number(process.env.BLOB_FEE_MULTIPLIER || 2);
+const MIN_BLOB_FEE_GWEI = process.env.MIN_BLOB_FEE_GWEI || 1;
+const BLOB_SCHEDULE = readBlobSchedule(process.env.BLOB_FORK || 'prague');
+let blobPool = [];
+let blobCursor = 0;
+// EIP-7702 workload (TX_TYPE=7702): default delegate is the BatchDelegate predeploy, which still accepts plain ETH.
+// Delegations persist across runs: a delegate without receive() (e.g. Multicall3) makes the worker reject top-ups
+let SETCODE_DELEGATE = process.env.SETCODE_DELEGATE || null;
+const SETCODE_BATCH_CALLS = Number(process.env.SETCODE_BATCH_CALLS || 4);
+const SETCODE_GAS_PER_CALL = Number(process.env.SETCODE_GAS_PER_CALL || 15000);
+const SETCODE_AUTH_CHUNK = Number(process.env.SETCODE_AUTH_CHUNK || 50);
+// DEPLOYER_PK があれば deployer が authorizationList をまとめて送る (0 で各 worker の自己委任)
+const SETCODE_SPONSOR = process.env.SETCODE_SPONSOR === '0' || process.env.SETCODE_SPONSOR === 'false' ? false : true;
+
+// Fee fields for worker i: legacy gasPrice, or type-2 fields from the latest observed base fee
+// (blob txs share the type-2 fee fields; blobFieldsFor adds the sidecar and blob fee). A planned tip replaces the strategy's
+function feeFieldsFor(i, legacyGasPrice, tip = null) {
+  if (TX_TYPE === 0) return { gasPrice: legacyGasPrice };
+  const baseFee = feeOracle?.baseFee ?? BigInt(GAS_PRICE_GWEI) * 1_000_000_000n;
+  return dynamicFeeFields(baseFee, tip ?? tipFor(i, baseFee), MAX_FEE_MULTIPLIER);
+}
+
+// Sidecars by pool index when the plan fixed them, else round robin over the shared pool
+function blobFieldsFor(indices = null) {
+  const blobs = [];
+  for (let k = 0; k < BLOBS_PER_TX; k++) {
+    blobs.push(indices ? blobPool[indices[k] % blobPool.length] : blobPool[blobCursor++ % blobPool.length]);
+  }
+  return { type: 3, blobs, ...blobFeeFields(feeOracle?.blobBaseFee, BLOB_FEE_MULTIPLIER, gweiToWei(MIN_BLOB_FEE_GWEI)) };
+}
+
+// Install the 7702 delegation on every worker that does not have it yet, then verify with eth_getCode.
+// Sponsor mode packs up to SETCODE_AUTH_CHUNK worker authorizations into one type-4 tx from the deployer;
+// self mode has each worker send its own type-4 tx (authorization nonce = tx nonce + 1).
+async function installDelegationsIfNeeded(provider) {
+  if (TX_TYPE !== 4) return;
+  const chainId = (await provider.getNetwork()).chainId;
+  SETCODE_DELEGATE ||= await resolveDeployment(provider, chainId, 'BatchDelegate');
+  if (!SETCODE_DELEGATE) {
+    console.error('BatchDelegate not found (run `make deploy-contracts`) and SETCODE_DELEGATE not set; aborting 7702 workload');
+    process.exit(1);
+  }
+  const wallets = Array.from({ length: WORKERS }, (_, i) => new Wallet(workerKey(i), provider));
+  const before = await checkDelegations(provider, wallets.map(w => w.address), SETCODE_DELEGATE);
+  const todo = wallets.filter((_, k) => !before[k].delegated);
+  const legacyGasPrice = BigInt(GAS_PRICE_GWEI) * 1_000_000_000n;
+  const hashes = [];
+  if (todo.length > 0 && DEPLOYER_PK && SETCODE_SPONSOR) {
+    const sponsor = new Wallet(DEPLOYER_PK, provider);
+    let nonce = await provider.getTransactionCount(sponsor.address, 'pending');
+    for (let k = 0; k < todo.length; k += SETCODE_AUTH_CHUNK) {
+      const chunk = todo.slice(k, k + SETCODE_AUTH_CHUNK);
+      const authorizationList = [];
+      for (const w of chunk) {
+        const n = await provider.getTransactionCount(w.address, 'pending');
+        authorizationList.push(await signDelegation(w, SETCODE_DELEGATE, n, chainId));
+      }
+      try {
+        const sent = await sponsor.sendTransaction({
+          to: sponsor.address,
+          value: 0n,
+          gasLimit: 21000n + PER_AUTH_GAS * BigInt(chunk.length),
+          ...feeFieldsFor(0, legacyGasPrice),
+          type: 4,
+          authorizationList,
+          nonce: nonce++,
+          chainId
+        });
+        hashes.push(sent.hash);
+      } catch (e) {
+        console.log(`delegation tx failed (sponsor, ${chunk.length} auths): ${e?.message}`);
+      }
+    }
+  } else {
+    for (const w of todo) {
+      try {
+        const n = await provider.getTransactionCount(w.address, 'pending');
+        const auth = await signDelegation(w, SETCODE_DELEGATE, n + 1, chainId);
+        const sent = await w.sendTransaction({
+          to: w.address,
+          value: 0n,
+          gasLimit: 21000n + PER_AUTH_GAS,
+          ...feeFieldsFor(0, legacyGasPrice),
+          type: 4,
+          authorizationList: [auth],
+          nonce: n,
+          chainId
+        });
+        hashes.push(sent.hash);
+      } catch (e) {
+        console.log(`delegation tx failed for ${w.address}: ${e?.message}`);
+      }
+    }
+  }
+  await Promise.allSettled(hashes.map(h => waitReceipt(h)));
+
+  const after = await checkDelegations(provider, wallets.map(w => w.address), SETCODE_DELEGATE);
+  after.forEach((d, k) => {
+    if (!d.delegated) console.log(`delegation missing: worker=${k} ${d.address} code=${d.code ?? 'n/a'}`);
+  });
+  const ok = after.filter(d => d.delegated).length;
+  console.log(`delegation: ${ok}/${wallets.length} workers delegated to ${SETCODE_DELEGATE} (installed now: ${todo.length}, type-4 txs: ${hashes.length})`);
+  if (ok === 0) {
+    console.error('No worker is delegated; aborting 7702 workload');
+    process.exit(1);
+  }
+}
+
+async function prepareBlobPoolIfNeeded() {
+  if (TX_TYPE !== 3) return;
+  if (!(BLOBS_PER_TX > 0)) {
+    console.error('BLOBS_PER_TX must be >= 1');
+    process.exit(1);
+  }
+  if (BLOB_SCHEDULE && BLOBS_PER_TX > BLOB_SCHEDULE.max) {
+    console.error(`BLOBS_PER_TX=${BLOBS_PER_TX} exceeds blobSchedule max=${BLOB_SCHEDULE.max}`);
+    process.exit(1);
+  }
+  const size = BLOB_POOL_SIZE_EFFECTIVE;
+  const t0 = Date.now();
+  // Seeded runs build the same blob contents every time
+  blobPool = await createBlobPool(size, LOAD_SEED != null ? seededBytes(createRng(LOAD_SEED, 'blobs')) : undefined);
+  console.log(`Blob pool ready: ${size} blobs (KZG commitments/proofs) in ${Date.now() - t0}ms; BLOBS_PER_TX=${BLOBS_PER_TX} schedule target=${BLOB_SCHEDULE?.target ?? 'n/a'} max=${BLOB_SCHEDULE?.max ?? 'n/a'}`);
+}
 
 // Enforce contract address only when we actually call the contract
 // (DIRECT_TRANSFER=1 の場合は前方コントラクトを使わない)
-function ensureForwarderReadyIfNeeded(directTransfer) {
+async function ensureForwarderReadyIfNeeded(directTransfer, provider, chainId) {
   if (directTransfer) return; // not needed
   if (!SIMPLE_FORWARDER_ADDRESS) {
-    console.error('Missing SimpleForwarder address. Set SIMPLE_FORWARDER_ADDRESS');
+    SIMPLE_FORWARDER_ADDRESS = await resolveDeployment(provider, chainId, 'SimpleForwarder');
+  }
+  if (!SIMPLE_FORWARDER_ADDRESS) {
+    console.error('Missing SimpleForwarder address. Set SIMPLE_FORWARDER_ADDRESS or run scripts/deploy-contracts.mjs (make deploy-contracts)');
+    process.exit(1);
+  }
+  if (!(await hasCode(provider, SIMPLE_FORWARDER_ADDRESS))) {
+    console.error(`No contract code at SimpleForwarder address ${SIMPLE_FORWARDER_ADDRESS} (chain reset?). Re-run scripts/deploy-contracts.mjs`);
     process.exit(1);
   }
   if (!simpleIface) {
     const abiPath = resolveAbiPath();
     if (!abiPath) {
-      console.error('Unable to locate SimpleForwarder ABI. Provide scripts/contracts/build/SimpleForwarder.json or contracts/build/SimpleForwarder.json');
+      console.error('Unable to locate SimpleForwarder ABI (contracts/build/SimpleForwarder.json)');
       process.exit(1);
     }
     const simpleAbi = JSON.parse(fs.readFileSync(abiPath, 'utf8')).abi;
     simpleIface = new Interface(simpleAbi);
   }
 }
-function resolveContractAddress() { return undefined; }
+
+// Resolve and verify the contracts the WORKLOAD mix calls (recorded deployments or genesis predeploys)
+async function prepareWorkloadIfNeeded(provider, chainId) {
+  if (!WORKLOAD) return;
+  if (TX_TYPE !== 0 && TX_TYPE !== 2) {
+    console.error(`WORKLOAD is supported with TX_TYPE=legacy or 1559 (got ${TX_TYPE_NAMES[TX_TYPE]})`);
+    process.exit(1);
+  }
+  const resolved = {};
+  for (const name of WORKLOAD.contracts) {
+    const address = await resolveDeployment(provider, chainId, name);
+    if (!address || !(await hasCode(provider, address))) {
+      console.error(`WORKLOAD needs ${name} but it is not deployed on this chain. Run scripts/deploy-contracts.mjs (make deploy-contracts)`);
+      process.exit(1);
+    }
+    resolved[name] = address;
+  }
+  WORKLOAD.bind(resolved);
+  console.log(`Workload mix: ${WORKLOAD.describe()}${Object.keys(resolved).length ? ' contracts: ' + Object.entries(resolved).map(([k, v]) => `${k}=${v}`).join(' ') : ''}`);
+}
+
+function checkOpenLoopConfig() {
+  if (!OPEN_LOOP) return;
+  if (REPLAY_TRACE || planQueues) {
+    console.error(`OPEN_LOOP does not apply to ${REPLAY_TRACE ? 'REPLAY (the trace' : 'a seeded plan (the plan'} already fixes every send time)`);
+    process.exit(1);
+  }
+  if (!LOAD_SCHEDULE && !(TARGET_TPS > 0)) {
+    console.error('OPEN_LOOP needs TARGET_TPS or LOAD_SCHEDULE');
+    process.exit(1);
+  }
+}
+
+// LOAD_SEED with TARGET_TPS / LOAD_SCHEDULE: draw every tx up front (seeded arrivals, slot n -> worker n % WORKERS,
+// bodies from each worker's call source) and export it as LOAD_RUN_DIR/plan-node<N>.jsonl; PLAN loads such a file back
+function preparePlanIfNeeded() {
+  if (PLAN) {
+    const { header, queues, file } = PLAN;
+    if (REPLAY_TRACE) {
+      console.error('PLAN cannot be combined with REPLAY');
+      process.exit(1);
+    }
+    if (header.workers !== WORKERS || header.txType !== TX_TYPE) {
+      console.error(`PLAN ${file} was recorded with WORKERS=${header.workers} TX_TYPE=${TX_TYPE_NAMES[header.txType]}; run it with the same settings`);
+      process.exit(1);
+    }
+    if (header.worker0 && header.worker0.toLowerCase() !== workerAddress(0).toLowerCase()) {
+      console.log(`Plan: recorded for worker accounts starting at ${header.worker0}, this run uses ${workerAddress(0)} (self-calls and remapped recipients will differ)`);
+    }
+    planQueues = queues;
+    console.log(`Plan: ${file} seed=${header.seed} txs=${header.txs} workers=${header.workers} duration=${header.durationSec}s (recorded ${header.createdAt})`);
+    return;
+  }
+  if (LOAD_SEED == null || REPLAY_TRACE) return;
+  if (!LOAD_SCHEDULE && !(TARGET_TPS > 0)) {
+    console.log(`Plan: LOAD_SEED=${LOAD_SEED} fixes each worker's tx sequence; without TARGET_TPS or LOAD_SCHEDULE the send times are not planned (no plan file)`);
+    return;
+  }
+  const schedule = LOAD_SCHEDULE || parseSchedule({ type: 'constant', tps: TARGET_TPS }, DURATION_SEC);
+  const arrivals = createArrivalProcess(schedule, { random: createRng(LOAD_SEED, `node${NODE_INDEX}`, 'schedule') });
+  const sources = Array.from({ length: WORKERS }, (_, i) => createCallSource(i));
+  const gasLimit = txGasLimit();
+  const queues = Array.from({ length: WORKERS }, () => []);
+  for (let n = 0; ; n++) {
+    const dueMs = arrivals.next();
+    if (!Number.isFinite(dueMs)) break;
+    const w = n % WORKERS;
+    queues[w].push({ dueMs, gasLimit, ...sources[w]() });
+  }
+  planQueues = queues;
+  const file = process.env.PLAN_OUT || path.join(LOAD_RUN_DIR, `plan-node${NODE_INDEX}.jsonl`);
+  writePlan(file, {
+    seed: LOAD_SEED,
+    node: NODE_INDEX,
+    txType: TX_TYPE,
+    durationSec: DURATION_SEC,
+    schedule: schedule.describe(),
+    blobPoolSize: TX_TYPE === 3 ? BLOB_POOL_SIZE_EFFECTIVE : undefined,
+    worker0: workerAddress(0),
+    createdAt: new Date().toISOString()
+  }, queues);
+  const txs = queues.reduce((a, q) => a + q.length, 0);
+  console.log(`Plan: seed=${LOAD_SEED} txs=${txs} schedule=${schedule.describe()} -> ${file} (re-run with PLAN=${file})`);
+}
+
+// Spread the trace's senders over this process's workers (and over load-parallel children via NODE_COUNT)
+function prepareReplayIfNeeded() {
+  if (!REPLAY_TRACE) return;
+  if (WORKLOAD || TX_TYPE === 3 || TX_TYPE === 4) {
+    console.error('REPLAY cannot be combined with WORKLOAD or TX_TYPE=blob/7702');
+    process.exit(1);
+  }
+  const shards = Number(process.env.NODE_COUNT || 1);
+  const { queues, senderToWorker } = partitionTrace(REPLAY_TRACE, {
+    workers: WORKERS,
+    shard: NODE_INDEX % shards,
+    shards,
+    speed: REPLAY_SPEED,
+    workerAddress,
+    defaultGas: BigInt(GAS_LIMIT)
+  });
+  replayQueues = queues;
+  const txs = queues.reduce((a, q) => a + q.length, 0);
+  console.log(`Replay: ${process.env.REPLAY} txs=${txs}/${REPLAY_TRACE.entries.length} senders=${senderToWorker.size}/${REPLAY_TRACE.senders.length} -> workers=${Math.min(WORKERS, senderToWorker.size)} span=${REPLAY_TRACE.spanSec.toFixed(1)}s speed=${REPLAY_SPEED}x`);
+  if (senderToWorker.size > WORKERS) {
+    console.log(`Replay: ${senderToWorker.size} senders share ${WORKERS} workers (raise WORKERS for a 1:1 mapping)`);
+  }
+}
 
 const providerCache = new Map();
 
@@ -82,7 +423,7 @@ function getSharedProvider(url) {
   }
   let p;
   if (url.startsWith('ws')) {
-    p = new WebSocketProvider(url);
+    p = createWsProvider(url);
   } else {
     // StaticJsonRpcProvider-like behavior in v6 is default for JsonRpcProvider
     p = new JsonRpcProvider(url, undefined, { staticNetwork: true });
@@ -91,35 +432,171 @@ function getSharedProvider(url) {
   return p;
 }
 
+// Socket errors (node restarts) must not crash the process: sends on a dead socket time out instead
+function createWsProvider(url) {
+  return new WebSocketProvider(() => {
+    const ws = new WebSocket(url);
+    ws.on('error', () => { /* surfaced as send timeouts / endpoint probe failures */ });
+    return ws;
+  });
+}
+
+// Endpoint pool (lib/endpoint-pool.mjs): per-URL latency / error rate and a circuit breaker with background probes
+const ENDPOINT_FAIL_THRESHOLD = Number(process.env.ENDPOINT_FAIL_THRESHOLD || 3);
+const ENDPOINT_ERROR_RATE = Number(process.env.ENDPOINT_ERROR_RATE || 0.5);
+const ENDPOINT_WINDOW_MS = Number(process.env.ENDPOINT_WINDOW_MS || 10000);
+const ENDPOINT_OPEN_MS = Number(process.env.ENDPOINT_OPEN_MS || 3000);
+const ENDPOINT_PROBE_MS = Number(process.env.ENDPOINT_PROBE_MS || 1000);
+const ENDPOINT_PROBE_TIMEOUT_MS = Number(process.env.ENDPOINT_PROBE_TIMEOUT_MS || 2000);
+let endpointPool = null;
+
+function withTimeout(promise, ms, label) {
+  let t;
+  return Promise.race([
+    promise,
+    new Promise((_, reject) => { t = setTimeout(() => reject(new Error(`${label} timeout`)), ms); })
+  ]).finally(() => clearTimeout(t));
+}
+
+// eth_blockNumber on the endpoint. A ws endpoint gets a fresh socket; once it answers it replaces the cached
+// provider, whose socket died with the node
+async function probeEndpoint(url) {
+  if (!url.startsWith('ws')) {
+    await withTimeout(getSharedProvider(url).send('eth_blockNumber', []), ENDPOINT_PROBE_TIMEOUT_MS, 'probe');
+    return;
+  }
+  const fresh = createWsProvider(url);
+  try {
+    await withTimeout(fresh.send('eth_blockNumber', []), ENDPOINT_PROBE_TIMEOUT_MS, 'probe');
+  } catch (e) {
+    fresh.destroy().catch(() => { });
+    throw e;
+  }
+  const old = providerCache.get(url);
+  providerCache.set(url, fresh);
+  if (old) Promise.resolve().then(() => old.destroy()).catch(() => { });
+}
+
+function startEndpointPool() {
+  endpointPool = createEndpointPool(RPC_URLS, {
+    probe: probeEndpoint,
+    failThreshold: ENDPOINT_FAIL_THRESHOLD,
+    errorRate: ENDPOINT_ERROR_RATE,
+    windowMs: ENDPOINT_WINDOW_MS,
+    openMs: ENDPOINT_OPEN_MS,
+    probeMs: ENDPOINT_PROBE_MS
+  });
+  endpointPool.start();
+}
+
+// "endpoint:" lines plus the timestamped breaker transitions in LOAD_RUN_DIR/endpoints-node<NODE_INDEX>.json
+function reportEndpoints() {
+  if (!endpointPool) return;
+  endpointPool.stop();
+  for (const e of endpointPool.summary()) {
+    console.log(`endpoint: ${e.url} state=${e.state} sends=${e.sends} errors=${e.errors} errRate=${(e.errorRate * 100).toFixed(1)}% ewma_ms=${e.ewmaMs ?? 'n/a'} opens=${e.opens}`);
+  }
+  if (!LATENCY_REPORT) return;
+  fs.mkdirSync(LOAD_RUN_DIR, { recursive: true });
+  fs.writeFileSync(path.join(LOAD_RUN_DIR, `endpoints-node${NODE_INDEX}.json`), JSON.stringify({ endpoints: endpointPool.summary(), transitions: endpointPool.transitions }, null, 2));
+}
+
+// First http:// endpoint while its breaker is closed, else the best-scored closed http:// one
 function pickHttpUrl() {
-  const http = RPC_URLS.find(u => u.startsWith('http'));
-  return http || 'http://127.0.0.1:8545';
-}
-
-// Custom receipt polling using shared provider
-async function waitReceipt(txHash) {
-  const start = Date.now();
-  const timeout = 60000; // 60s timeout for receipt
-  let urlIdx = 0;
-
-  while (Date.now() - start < timeout) {
-    // Rotate HTTP endpoints for receipt checking
-    const url = RPC_URLS.filter(u => u.startsWith('http'))[urlIdx % RPC_URLS.length] || 'http://127.0.0.1:8545';
-    urlIdx++;
-
-    try {
-      const provider = getSharedProvider(url);
-      const receipt = await provider.send('eth_getTransactionReceipt', [txHash]);
-      if (receipt) return receipt;
-    } catch (e) {
-      // Ignore network errors during polling, just retry
+  const http = RPC_URLS.find(u => u.startsWith('http')) || 'http://127.0.0.1:8545';
+  return endpointPool ? endpointPool.pick(http, u => u.startsWith('http')) : http;
+}
+
+// Reads (receipts, drop checks, fees) go to whichever http endpoint pickHttpUrl() currently routes to
+const pooledHttpProvider = {
+  send: (method, params) => getSharedProvider(pickHttpUrl()).send(method, params)
+};
+
+// Receipts for every tx of this process come from one block follower (see lib/block-follower.mjs).
+// HEADS_SOURCE=ws subscribes to newHeads on the first ws:// endpoint (HEADS_WS_URL overrides), poll uses eth_blockNumber.
+const HEADS_SOURCE = (process.env.HEADS_SOURCE || (RPC_URLS.some(u => u.startsWith('ws')) || process.env.HEADS_WS_URL ? 'ws' : 'poll')).toLowerCase();
+const BLOCK_POLL_MS = Number(process.env.BLOCK_POLL_MS || 500);
+const RECEIPT_TIMEOUT_MS = Number(process.env.RECEIPT_TIMEOUT_MS || 60000);
+// newHeads silent this long (default 3 slots) -> the follower polls eth_blockNumber until heads arrive again
+const HEADS_STALL_MS = Number(process.env.HEADS_STALL_MS || 3 * Number(process.env.SECONDS_PER_SLOT || 2) * 1000);
+let blockFollower = null;
+let headsProvider = null;
+let openLoop = null;
+
+// The newHeads subscription gets its own socket: probeEndpoint swaps (and destroys) the cached ws providers
+async function startBlockFollower() {
+  const wsUrl = process.env.HEADS_WS_URL || RPC_URLS.find(u => u.startsWith('ws'));
+  if (HEADS_SOURCE === 'ws' && wsUrl) headsProvider = createWsProvider(wsUrl);
+  blockFollower = createBlockFollower({
+    provider: pooledHttpProvider,
+    headProvider: headsProvider,
+    pollMs: BLOCK_POLL_MS,
+    timeoutMs: RECEIPT_TIMEOUT_MS,
+    stallMs: HEADS_STALL_MS
+  });
+  await blockFollower.start();
+  console.log(`Block follower: ${blockFollower.mode} receipts=eth_getBlockReceipts timeout=${RECEIPT_TIMEOUT_MS}ms`);
+}
+
+function waitReceipt(txHash) {
+  return blockFollower.waitReceipt(txHash);
+}
+
+// A tx whose receipt wait ran out (or was abandoned at exit): unknown to every node = dropped from the pool,
+// still known = unconfirmed; one found mined was only missed by the follower and comes back with its receipt.
+// The node the tx was sent to is asked first: queued / gapped txs are not gossiped, so only it may still hold them.
+// Lookups run at most DROP_CHECK_CONCURRENCY at a time (the exit sweep can have DROP_CHECK_MAX of them)
+async function classifyMissing(hash, submitUrl) {
+  return dropCheckSlots.run(async () => {
+    let answered = 0;
+    for (const u of [submitUrl, ...RPC_URLS.filter(x => x !== submitUrl)].filter(Boolean)) {
+      const p = getSharedProvider(u);
+      let tx;
+      try {
+        tx = await withTimeout(p.send('eth_getTransactionByHash', [hash]), ENDPOINT_PROBE_TIMEOUT_MS, 'drop check');
+      } catch {
+        continue;
+      }
+      answered++;
+      if (!tx) continue;
+      if (tx.blockNumber) {
+        const receipt = await p.send('eth_getTransactionReceipt', [hash]).catch(() => null);
+        if (receipt) return { outcome: 'included', receipt };
+      }
+      return { outcome: 'unconfirmed' };
     }
-    await sleep(1000);
-  }
-  throw new Error('waitReceipt timeout');
+    return { outcome: answered > 0 ? 'dropped' : 'unconfirmed' };
+  });
+}
+
+// run(fn) with at most n fns in flight
+function createLimiter(n) {
+  let active = 0;
+  const queue = [];
+  const next = () => {
+    if (active >= n || queue.length === 0) return;
+    active++;
+    const { fn, resolve, reject } = queue.shift();
+    Promise.resolve().then(fn).then(resolve, reject).finally(() => { active--; next(); });
+  };
+  return {
+    run(fn) {
+      return new Promise((resolve, reject) => {
+        queue.push({ fn, resolve, reject });
+        next();
+      });
+    }
+  };
+}
+
+function printFollowerCounters() {
+  if (!blockFollower) return;
+  const c = blockFollower.counters;
+  console.log(`receipts: blocks=${c.blocks} blockReceiptCalls=${c.receiptCalls} fallbackCalls=${c.fallbackCalls} resolved=${c.resolved} timeouts=${c.timeouts} headStalls=${c.stalls} pending=${blockFollower.pendingCount()}`);
 }
 
 function createTokenBucket() {
+  if (LOAD_SCHEDULE) return createScheduledBucket(LOAD_SCHEDULE);
   if (!(TARGET_TPS > 0)) return null;
   const capacity = Math.max(1, Math.ceil(TARGET_TPS * BURST_MULTIPLIER));
   const bucket = { capacity, tokens: capacity, timer: null };
@@ -130,6 +607,23 @@ function createTokenBucket() {
   return bucket;
 }
 
+// Token bucket fed by the schedule's arrival process: each tick adds the arrivals that fell due since the start.
+// Capacity follows the current rate so a stalled generator cannot release a backlog beyond BURST_MULTIPLIER.
+function createScheduledBucket(schedule) {
+  const arrivals = createArrivalProcess(schedule);
+  const startMs = Date.now();
+  const bucket = { capacity: 1, tokens: 0, timer: null, schedule };
+  let nextAt = arrivals.next();
+  bucket.timer = setInterval(() => {
+    const elapsed = Date.now() - startMs;
+    let added = 0;
+    while (nextAt <= elapsed) { added++; nextAt = arrivals.next(); }
+    bucket.capacity = Math.max(1, added, Math.ceil(schedule.rateAt(elapsed / 1000) * BURST_MULTIPLIER));
+    bucket.tokens = Math.min(bucket.capacity, bucket.tokens + added);
+  }, BUCKET_INTERVAL_MS);
+  return bucket;
+}
+
 async function acquireToken(bucket, endAt) {
   if (!bucket) return true; // unlimited
   while (Date.now() < endAt) {
@@ -155,63 +649,155 @@ function encodeForward(to) {
 }
 
 function workerKey(i) {
-  // 0x000...001, 0x...002, ...
-  const v = BigInt(i + ACCOUNT_OFFSET + 1).toString(16).padStart(64, '0');
-  return '0x' + v;
+  return ACCOUNTS.key(i + ACCOUNT_OFFSET);
+}
+
+function workerAddress(i) {
+  return ACCOUNTS.address(i + ACCOUNT_OFFSET);
+}
+
+function txGasLimit() {
+  return TX_TYPE === 4
+    ? BigInt(30000 + SETCODE_GAS_PER_CALL * SETCODE_BATCH_CALLS)
+    : BigInt(DIRECT_TRANSFER ? 21000 : GAS_LIMIT);
+}
+
+// Tx bodies of worker i in send order: 7702 calls the delegated worker itself with a batch of transfers,
+// WORKLOAD picks a weighted kind (with its own gasLimit) per tx. With LOAD_SEED every random choice (mix, values,
+// calldata, random tips, blob picks) comes from the worker's own stream, so its k-th tx does not depend on timing
+function createCallSource(i) {
+  const rng = LOAD_SEED != null ? createRng(LOAD_SEED, `node${NODE_INDEX}`, `worker${i}`) : null;
+  const value = parseEther(VALUE_ETH);
+  let recipientIdx = i % RECIPIENTS.length;
+  let blobIdx = i * BLOBS_PER_TX;
+  const body = () => {
+    if (WORKLOAD) {
+      const entry = WORKLOAD.pick(rng ?? undefined);
+      const recipient = RECIPIENTS[recipientIdx++ % RECIPIENTS.length];
+      return { kind: entry.name, ...WORKLOAD.build(entry, { recipient, random: rng ?? undefined }) };
+    }
+    if (TX_TYPE === 4) {
+      const batch = [];
+      for (let k = 0; k < SETCODE_BATCH_CALLS; k++) batch.push(RECIPIENTS[recipientIdx++ % RECIPIENTS.length]);
+      return { to: workerAddress(i), value: value * BigInt(batch.length), data: encodeBatchTransfers(batch, value) };
+    }
+    const to = RECIPIENTS[recipientIdx % RECIPIENTS.length];
+    recipientIdx++;
+    if (DIRECT_TRANSFER) return { to, value };
+    return { to: SIMPLE_FORWARDER_ADDRESS, value, data: encodeForward(to) };
+  };
+  return () => {
+    const call = body();
+    if (!rng) return call;
+    if (TX_TYPE !== 0 && TIP_STRATEGY.toLowerCase() === 'random') call.tip = tipFor(i, null, rng);
+    if (TX_TYPE === 3) {
+      call.blobs = [];
+      for (let k = 0; k < BLOBS_PER_TX; k++) call.blobs.push(blobIdx++ % BLOB_POOL_SIZE_EFFECTIVE);
+    }
+    return call;
+  };
 }
 
+// Tops up FUND_TOP_N workers (lib/funding.mjs): Disperse batches of FUND_BATCH_SIZE spread over DEPLOYER_PK and
+// FUNDER_KEYS with pipelined nonces, one confirmation wait per round, re-checking only the accounts that were short
 async function fundWorkersIfNeeded(provider) {
-  if (!DEPLOYER_PK || !FUND_WORKERS) return;
-  const wallet = new Wallet(DEPLOYER_PK, provider);
+  if (!DEPLOYER_PK || !FUND_WORKERS || !(FUND_TOP_N > 0)) return;
   const chainId = (await provider.getNetwork()).chainId;
-  const target = parseEther(FUND_TARGET_ETH);
-  let nonce = await provider.getTransactionCount(wallet.address, 'pending');
+  const funders = [DEPLOYER_PK, ...FUNDER_KEYS].map(k => new Wallet(k, provider));
+  const disperse = FUND_DISPERSE ? await resolveDisperse(provider, chainId) : null;
   // WORKERS に依存せず FUND_TOP_N 件まで資金補充 (並列ランナーで総ワーカー数分を渡すケース対応)
-  const max = FUND_TOP_N;
-  for (let i = 0; i < max; i++) {
-    const w = new Wallet(workerKey(i));
-    const bal = await provider.getBalance(w.address);
-    if (bal < target) {
-      const topUp = target - bal;
-      const tx = {
-        to: w.address,
-        value: topUp,
-        gasLimit: 21000n,
-        gasPrice: BigInt(GAS_PRICE_GWEI) * 1_000_000_000n,
-        nonce: nonce++,
-        chainId
-      };
-      try {
-        const sent = await wallet.sendTransaction(tx);
-        if (FUND_WAIT) {
-          // For funding, we can just wait a bit or use the new polling. 
-          // Since this runs once at start, using waitReceipt is fine.
-          await waitReceipt(sent.hash);
-        }
-        console.log(`funded ${w.address} with ${topUp} wei, tx ${sent.hash}`);
-      } catch (e) {
-        console.log(`fund failed for ${w.address}: ${e?.message}`);
-      }
-    }
+  const addresses = Array.from({ length: FUND_TOP_N }, (_, i) => workerAddress(i));
+  const r = await fundAccounts({
+    provider,
+    funders,
+    chainId,
+    addresses,
+    target: parseEther(FUND_TARGET_ETH),
+    feeFields: () => feeFieldsFor(0, BigInt(GAS_PRICE_GWEI) * 1_000_000_000n),
+    waitReceipt,
+    disperse,
+    batchSize: FUND_BATCH_SIZE,
+    rounds: FUND_ROUNDS,
+    wait: FUND_WAIT
+  });
+  const via = disperse ? `Disperse ${disperse} batch=${FUND_BATCH_SIZE}` : 'transfers';
+  const short = r.stillShort === null ? 'unconfirmed (FUND_WAIT=0)' : r.stillShort.length;
+  console.log(`Funding: checked=${r.checked} underfunded=${r.underfunded} txs=${r.txs} failed=${r.failedTxs} rounds=${r.rounds} stillShort=${short} via ${via} funders=${funders.length} in ${(r.ms / 1000).toFixed(1)}s`);
+  if (r.rejected.length > 0) {
+    const shown = r.rejected.slice(0, 10).join(', ') + (r.rejected.length > 10 ? `, ... (+${r.rejected.length - 10})` : '');
+    console.log(`Funding: ${r.rejected.length} worker(s) reject ETH (code without receive()?), not funded: ${shown}`);
+  }
+  if (r.stillShort?.length > r.rejected.length) {
+    const other = r.stillShort.filter(a => !r.rejected.includes(a));
+    console.log(`Funding: still short: ${other.slice(0, 10).join(', ')}${other.length > 10 ? `, ... (+${other.length - 10})` : ''}`);
   }
 }
 
 const TX_TIMEOUT_MS = Number(process.env.TX_TIMEOUT_MS || 4000);
 const GRACE_EXIT_MS = Number(process.env.GRACE_EXIT_MS || 3000);
 const RECEIPT_DRAIN_MS = Number(process.env.RECEIPT_DRAIN_MS || 0);
+// Txs still without a receipt at exit are looked up (dropped vs unconfirmed) up to this many; the rest count as unconfirmed
+const DROP_CHECK_MAX = Number(process.env.DROP_CHECK_MAX || 2000);
+const DROP_CHECK_CONCURRENCY = Number(process.env.DROP_CHECK_CONCURRENCY || 16);
+const dropCheckSlots = createLimiter(Math.max(1, DROP_CHECK_CONCURRENCY));
 const USE_RAW_SEND = process.env.USE_RAW_SEND === '1' || process.env.USE_RAW_SEND === 'true';
 const DIRECT_TRANSFER = process.env.DIRECT_TRANSFER === '1' || process.env.DIRECT_TRANSFER === 'true';
+// Nonce manager: periodic gap detection / stuck-head replacement per worker
+const NONCE_RESYNC_MS = Number(process.env.NONCE_RESYNC_MS || 5000);
+const NONCE_STUCK_MS = Number(process.env.NONCE_STUCK_MS || 15000);
+const REPLACE_BUMP_PCT = Number(process.env.REPLACE_BUMP_PCT || (TX_TYPE === 3 ? 100 : 15));
+// Per-tx latency records (load-parallel passes a shared LOAD_RUN_DIR and NODE_INDEX to each child)
+const NODE_INDEX = Number(process.env.NODE_INDEX || 0);
+const LOAD_RUN_DIR = process.env.LOAD_RUN_DIR || path.join(process.cwd(), 'metrics', `load_${new Date().toISOString().replace(/[:.]/g, '-')}`);
+const PROGRESS_INTERVAL_MS = Number(process.env.PROGRESS_INTERVAL_MS || 1000);
+const LATENCY_REPORT = process.env.LATENCY_REPORT === '0' || process.env.LATENCY_REPORT === 'false' ? false : true;
+const txLog = createTxLog({ node: NODE_INDEX });
+const blockTsCache = new Map(); // blockNumber -> Promise<timestamp ms | null>
 
-async function runWorker(i, endAt, stats, _unused, bucket) {
-  let urlIdx = 0;
-  let url = urlForWorker(i);
+function blockTimestampMs(blockNumber) {
+  if (!blockTsCache.has(blockNumber)) {
+    const p = pooledHttpProvider
+      .send('eth_getBlockByNumber', ['0x' + blockNumber.toString(16), false])
+      .then(b => (b ? Number(BigInt(b.timestamp)) * 1000 : null))
+      .catch(() => { blockTsCache.delete(blockNumber); return null; });
+    blockTsCache.set(blockNumber, p);
+  }
+  return blockTsCache.get(blockNumber);
+}
+
+async function recordInclusion(hash, receipt) {
+  const receiptMs = Date.now();
+  const blockNumber = Number(BigInt(receipt.blockNumber));
+  txLog.included(hash, {
+    blockNumber,
+    blockTimestampMs: await blockTimestampMs(blockNumber),
+    receiptMs,
+    status: receipt.status === '0x1' || receipt.status === 1 ? 'ok' : 'reverted',
+    gasUsed: receipt.gasUsed != null ? Number(BigInt(receipt.gasUsed)) : null
+  });
+}
+
+// Sync so that the watchdog path can flush the records before process.exit
+function writeTxReport(startMs) {
+  if (!LATENCY_REPORT) return;
+  const records = txLog.records();
+  writeCsv(path.join(LOAD_RUN_DIR, `txs-node${NODE_INDEX}.csv`), TX_CSV_COLUMNS, records);
+  const summary = writeLatencyReport(LOAD_RUN_DIR, records, { startMs, prefix: `node${NODE_INDEX}-` });
+  console.log(formatLatencyLine(summary));
+  console.log(`Saved tx records to ${path.join(LOAD_RUN_DIR, `txs-node${NODE_INDEX}.csv`)}`);
+}
+
+async function runWorker(i, endAt, stats, startMs, bucket) {
+  // Home endpoint while its breaker is closed, else the pool's best healthy endpoint (lib/endpoint-pool.mjs)
+  const homeUrl = urlForWorker(i);
+  let url = endpointPool.pick(homeUrl);
   let provider = getSharedProvider(url);
-  const wallet = new Wallet(workerKey(i), provider);
-  const value = parseEther(VALUE_ETH);
-  const gasLimit = BigInt(DIRECT_TRANSFER ? 21000 : GAS_LIMIT);
+  let wallet = new Wallet(workerKey(i), provider);
+  const gasLimit = txGasLimit();
   const gasPrice = BigInt(GAS_PRICE_GWEI) * 1_000_000_000n + BigInt(i + 1) * 100_000_000n;
-  let nonce = await provider.getTransactionCount(wallet.address, 'pending');
-  let recipientIdx = i % RECIPIENTS.length;
+  const nonces = createNonceManager({ address: wallet.address, stuckMs: NONCE_STUCK_MS });
+  await nonces.init(provider);
+  stats.nonceManagers.push(nonces);
 
   const network = await provider.getNetwork();
   const sendWithTimeout = async (tx) => {
@@ -233,61 +819,170 @@ async function runWorker(i, endAt, stats, _unused, bucket) {
 
   const pending = new Set();
 
-  const launchSend = async () => {
-    const to = RECIPIENTS[recipientIdx % RECIPIENTS.length];
-    recipientIdx++;
-    const data = DIRECT_TRANSFER ? undefined : encodeForward(to);
-    const toAddr = DIRECT_TRANSFER ? to : SIMPLE_FORWARDER_ADDRESS;
+  // to/value/data for one tx: the next entry of a replay trace or seeded plan (each with its due time), else the call source
+  const queue = (replayQueues || planQueues)?.[i] ?? null;
+  let queueCursor = 0;
+  const nextCall = queue
+    ? () => {
+      const { dueMs, ...call } = queue[queueCursor++];
+      return call;
+    }
+    : createCallSource(i);
+
+  // succ counts status 1 only; a nonce settled by another hash (fee-bump replacement or the original) is not a drop
+  const superseded = new Set();
+  const settledNonces = new Set();
+  const onReceipt = (h, nonce, r) => {
+    if (r.status === '0x1' || r.status === 1) stats.succ++; else stats.reverted++;
+    settledNonces.add(nonce);
+    nonces.mined(nonce);
+    feeReport.record(r);
+    return recordInclusion(h, r);
+  };
+  const trackReceipt = (h, nonce, submitUrl) => {
+    const check = waitReceipt(h).then((r) => onReceipt(h, nonce, r)).catch(async () => {
+      if (superseded.has(h) || settledNonces.has(nonce)) return;
+      if (stats.dropChecks++ >= DROP_CHECK_MAX) { stats.unconfirmed++; return; }
+      try {
+        const { outcome, receipt } = await classifyMissing(h, submitUrl);
+        if (outcome === 'included') return onReceipt(h, nonce, receipt);
+        stats[outcome]++;
+      } catch {
+        stats.unconfirmed++;
+      }
+    }).catch(() => { }).finally(() => stats.outcomeChecks.delete(check));
+    stats.outcomeChecks.add(check);
+  };
+
+  // Gap detection + stuck-head replacement; runs in the background so sends keep flowing
+  let resyncing = null;
+  let lastResync = Date.now();
+  const resyncNonces = () => {
+    if (resyncing) return resyncing;
+    lastResync = Date.now();
+    resyncing = nonces.resync(provider).then(async ({ replace }) => {
+      for (const { nonce, tx, hash: replacedHash } of replace) {
+        const bumped = bumpFees(tx, REPLACE_BUMP_PCT);
+        try {
+          // url may switch to another endpoint while the send is in flight
+          const sendUrl = url;
+          const submitMs = Date.now();
+          const sent = await sendWithTimeout(bumped);
+          const h = sent.hash || sent;
+          nonces.replaced(nonce, h, bumped);
+          superseded.add(replacedHash);
+          txLog.submitted(h, submitMs, { worker: i, nonce, kind: txLog.get(replacedHash)?.kind, endpoint: sendUrl });
+          trackReceipt(h, nonce, sendUrl);
+        } catch { /* retried on the next resync */ }
+      }
+    }).catch(() => { /* node unreachable; retried on the next resync */ })
+      .finally(() => { resyncing = null; });
+    return resyncing;
+  };
+
+  const launchSend = async (intendedMs = null) => {
+    const nonce = nonces.acquire();
+    const { kind = null, tip = null, blobs = null, ...call } = nextCall();
     const tx = {
-      to: toAddr,
-      value,
       gasLimit,
-      gasPrice,
-      nonce: nonce++,
-      ...(DIRECT_TRANSFER ? {} : { data })
+      ...call,
+      ...feeFieldsFor(i, gasPrice, tip),
+      ...(TX_TYPE === 3 ? blobFieldsFor(blobs) : {}),
+      nonce
     };
     const doSend = async () => {
+      stats.sending++;
+      const sendUrl = url;
+      const submitMs = Date.now();
+      if (intendedMs != null) openLoop?.sent(intendedMs, submitMs);
       try {
         const sent = await sendWithTimeout(tx);
+        endpointPool.report(sendUrl, true, Date.now() - submitMs);
         stats.sent++;
         // Use custom waitReceipt to avoid ethers provider leaks
         const h = sent.hash || sent; // raw send returns hash string wrapper
-        waitReceipt(h).then(() => { stats.succ++; }).catch(() => { });
+        nonces.sent(nonce, h, tx);
+        txLog.submitted(h, submitMs, { worker: i, nonce, kind, intendedMs, endpoint: sendUrl });
+        trackReceipt(h, nonce, sendUrl);
       } catch (e) {
         stats.fail++;
+        if (kind) stats.kindFails[kind] = (stats.kindFails[kind] || 0) + 1;
         const msg = (e && e.message) || 'error';
+        const reason = failureReason(msg);
+        stats.failReasons[reason] = (stats.failReasons[reason] || 0) + 1;
+        // Only transport failures count against the endpoint; any other error is still an answer from the node
+        const unreachable = /tx-send-timeout|connection|ECONNRESET|socket|timeout|closed/i.test(msg);
+        endpointPool.report(sendUrl, !unreachable, Date.now() - submitMs);
         if (/insufficient funds/i.test(msg)) {
           await sleep(50);
         }
-        if (/tx-send-timeout|connection|ECONNRESET|socket|timeout|closed/i.test(msg)) {
-          // Do NOT destroy shared provider here, just rotate URL for this worker
-          urlIdx = (urlIdx + 1) % RPC_URLS.length;
-          url = RPC_URLS[urlIdx];
-          provider = getSharedProvider(url);
-          // Re-create wallet attached to new provider
-          const rebound = new Wallet(wallet.privateKey, provider);
-          try {
-            nonce = await provider.getTransactionCount(rebound.address, 'pending');
-          } catch (e2) {
-            // If recovery fails, just ignore and retry next time.
-            // Do not let the worker crash.
-          }
+        if (/nonce too low|replacement transaction underpriced|already known/i.test(msg)) {
+          // Nonce is occupied (mined or pooled); never hand it out again and let resync realign
+          nonces.consumed(nonce);
+          resyncNonces();
+        } else if (unreachable) {
+          // The tx may or may not have reached the pool: release the nonce and let resync sort it out.
+          // The endpoint pool decides when this node leaves the rotation (see switchEndpointIfNeeded)
+          nonces.release(nonce);
+          resyncNonces();
         } else {
-          if (nonce > 0) nonce--;
+          nonces.release(nonce);
         }
+      } finally {
+        stats.sending--;
       }
     };
     const p = doSend().finally(() => pending.delete(p));
     pending.add(p);
   };
 
+  // Follow the pool: leave an open endpoint, return home once it is closed again, pick up re-created ws providers
+  const switchEndpointIfNeeded = () => {
+    const next = endpointPool.pick(homeUrl);
+    if (next === url && getSharedProvider(next) === provider) return;
+    url = next;
+    provider = getSharedProvider(url);
+    wallet = new Wallet(wallet.privateKey, provider);
+    resyncNonces();
+  };
+
   while (Date.now() < endAt) {
+    if (NONCE_RESYNC_MS > 0 && Date.now() - lastResync >= NONCE_RESYNC_MS) resyncNonces();
+    if (openLoop) {
+      // Open loop: the slot's intended time drives the send, not the completion of earlier sends
+      const intendedMs = openLoop.claim(endAt);
+      if (intendedMs == null) break;
+      const wait = intendedMs - Date.now();
+      if (wait > 0) await sleep(wait);
+      if (pending.size >= OPEN_LOOP_MAX_INFLIGHT) {
+        stats.capWaits++;
+        while (pending.size >= OPEN_LOOP_MAX_INFLIGHT) await Promise.race(pending);
+      }
+      switchEndpointIfNeeded();
+      await launchSend(intendedMs);
+      continue;
+    }
     while (pending.size < INFLIGHT_PER_WORKER && Date.now() < endAt) {
+      switchEndpointIfNeeded();
+      if (queue) {
+        // Replay / plan: the recorded (scaled) or planned send time replaces the token bucket
+        if (queueCursor >= queue.length) break;
+        const dueAt = startMs + queue[queueCursor].dueMs;
+        const wait = dueAt - Date.now();
+        if (wait > 0) {
+          await sleep(Math.min(wait, 50));
+          continue;
+        }
+        // Planned txs keep their intended time, so scheduled latency / send lag cover them like OPEN_LOOP
+        await launchSend(planQueues ? dueAt : null);
+        continue;
+      }
       // Rate limit: acquire one token for each send when TARGET_TPS is set
       const ok = await acquireToken(bucket, endAt);
       if (!ok) break;
       await launchSend();
     }
+    if (queue && queueCursor >= queue.length) break;
     // 待ち合わせ：1つでも完了するまで待つ（スピン回避の微スリープ）
     if (pending.size > 0) {
       await Promise.race([...pending, sleep(1)]);
@@ -297,40 +992,150 @@ async function runWorker(i, endAt, stats, _unused, bucket) {
   }
   // 終了時、保留分を待つ（短いグレース期間に委ねてもOK）
   await Promise.allSettled(pending);
+  if (resyncing) await resyncing;
   // Shared provider, do NOT destroy here
 }
 
 function sleep(ms) { return new Promise(res => setTimeout(res, ms)); }
 
-async function main() {
-  console.log(`Load params: duration=${DURATION_SEC}s workers=${WORKERS} value=${VALUE_ETH} SIMPLE_FORWARDER_ADDRESS=${SIMPLE_FORWARDER_ADDRESS}`);
-  if (ACCOUNT_OFFSET) {
-    console.log(`Account offset: ${ACCOUNT_OFFSET} (worker keys start at index ${ACCOUNT_OFFSET})`);
+// Sum of per-worker nonce manager counters
+function printNonceCounters(stats) {
+  const total = { gaps: 0, refills: 0, replacements: 0, resyncs: 0, tooLow: 0 };
+  for (const m of stats.nonceManagers) {
+    for (const k of Object.keys(total)) total[k] += m.counters[k];
   }
-  // Prepare forwarder dependency only if needed
-  ensureForwarderReadyIfNeeded(DIRECT_TRANSFER);
+  console.log(`nonce: gaps=${total.gaps} refills=${total.refills} replacements=${total.replacements} resyncs=${total.resyncs} tooLow=${total.tooLow}`);
+}
+
+// Open-loop lag report; warns when the generator itself (not the node) kept sends behind schedule
+function printOpenLoopReport(stats, endAt) {
+  if (!openLoop) return;
+  const missed = openLoop.missed(endAt);
+  const { claimed, lags } = openLoop.stats();
+  const d = distribution(lags);
+  const late = lags.filter(l => l > OPEN_LOOP_LAG_WARN_MS).length;
+  const latePct = claimed + missed > 0 ? ((late + missed) / (claimed + missed)) * 100 : 0;
+  console.log(`schedule: slots=${claimed + missed} sent=${lags.length} missed=${missed} send_lag_ms p50=${d.p50 ?? 'n/a'} p99=${d.p99 ?? 'n/a'} max=${d.max ?? 'n/a'} late(>${OPEN_LOOP_LAG_WARN_MS}ms)=${late} inflightCapWaits=${stats.capWaits}`);
+  if (missed > 0 || latePct > 5 || (d.p99 ?? 0) > OPEN_LOOP_LAG_WARN_MS) {
+    const cause = stats.capWaits > 0
+      ? `workers hit OPEN_LOOP_MAX_INFLIGHT=${OPEN_LOOP_MAX_INFLIGHT} ${stats.capWaits} times (raise it or WORKERS)`
+      : 'sends started late without hitting the in-flight cap (CPU / event loop saturated: add load-parallel nodes)';
+    console.warn(`WARNING: load generator is the bottleneck: ${latePct.toFixed(1)}% of slots late or missed; ${cause}. Latency numbers include this lag.`);
+  }
+}
+
+function printOutcome(stats) {
+  const reasons = Object.entries(stats.failReasons).map(([k, v]) => `${k}=${v}`).join(' ');
+  console.log(`done: sent=${stats.sent} succ=${stats.succ} reverted=${stats.reverted} dropped=${stats.dropped} unconfirmed=${stats.unconfirmed} fail=${stats.fail}${reasons ? ` [${reasons}]` : ''}`);
+}
+
+// Effective gas price / tip per included block (tip = effectiveGasPrice - baseFeePerGas)
+async function printFeeSummary() {
+  const rows = await feeReport.summarize(pooledHttpProvider);
+  if (rows.length === 0) return;
+  console.log('fee summary (gwei):');
+  for (const r of rows) {
+    console.log(`fee: block=${r.block} txs=${r.txs} baseFee=${weiToGwei(r.baseFee)} effGasPrice=${weiToGwei(r.avgEff)} tip=${weiToGwei(r.avgTip)} tipMin=${weiToGwei(r.minTip)} tipMax=${weiToGwei(r.maxTip)}`);
+  }
+  const blobRows = rows.filter(r => r.blobTxs > 0);
+  if (blobRows.length === 0) return;
+  // blockBlobs は他者分も含むブロック全体の blob 数 (target/max は genesis の blobSchedule)
+  console.log('blob summary (blob gas price in wei):');
+  for (const r of blobRows) {
+    const blockBlobs = r.blockBlobGasUsed != null ? Number(r.blockBlobGasUsed / GAS_PER_BLOB) : 'n/a';
+    console.log(`blob: block=${r.block} blobTxs=${r.blobTxs} blobs=${Number(r.blobGasUsed / GAS_PER_BLOB)} blobGasUsed=${r.blobGasUsed} blockBlobs=${blockBlobs}/${BLOB_SCHEDULE?.target ?? '?'}/${BLOB_SCHEDULE?.max ?? '?'} excessBlobGas=${r.excessBlobGas ?? 'n/a'} blobBaseFee=${r.blobGasPrice ?? 'n/a'}`);
+  }
+}
+
+// LOAD_START_MS (epoch ms, set by load-parallel for REPLAY / PLAN / LOAD_SEED) gives every child the same run clock, so shards
+// replay in step however late each child was launched; a child that is ready only after it sends its overdue txs at once
+async function waitForSharedStart() {
+  if (!LOAD_START_MS) return Date.now();
+  const wait = LOAD_START_MS - Date.now();
+  if (wait > 0) {
+    console.log(`Shared start: waiting ${(wait / 1000).toFixed(1)}s for ${new Date(LOAD_START_MS).toISOString()}`);
+    await sleep(wait);
+  } else {
+    console.log(`Shared start: ${(-wait / 1000).toFixed(1)}s late for ${new Date(LOAD_START_MS).toISOString()}; overdue txs go out at once`);
+  }
+  return LOAD_START_MS;
+}
+
+async function main() {
+  console.log(`Load params: duration=${DURATION_SEC}s workers=${WORKERS} value=${VALUE_ETH}${LOAD_SEED != null ? ` seed=${LOAD_SEED}` : ''}`);
+  console.log(`Worker accounts: ${ACCOUNTS.describe()}${ACCOUNT_OFFSET ? ` from index ${ACCOUNT_OFFSET}` : ''}`);
   const primary = getSharedProvider(RPC_URLS[0]);
-  const net = await primary.getNetwork();
+  const net = await withTimeout(primary.getNetwork(), ENDPOINT_PROBE_TIMEOUT_MS * 5, `${RPC_URLS[0]} getNetwork`);
   console.log(`chainId=${net.chainId} block=${await primary.getBlockNumber()}`);
+  // Prepare forwarder dependency only if needed
+  // Replayed txs carry their own to / data, so only the forward shape needs SimpleForwarder
+  await ensureForwarderReadyIfNeeded(DIRECT_TRANSFER || TX_TYPE === 4 || !!WORKLOAD || !!REPLAY_TRACE, primary, net.chainId);
+  await prepareWorkloadIfNeeded(primary, net.chainId);
+  prepareReplayIfNeeded();
+  preparePlanIfNeeded();
+  checkOpenLoopConfig();
+  if (SIMPLE_FORWARDER_ADDRESS) console.log(`SIMPLE_FORWARDER_ADDRESS=${SIMPLE_FORWARDER_ADDRESS}`);
+  startEndpointPool();
+  await startBlockFollower();
 
-  const bucket = createTokenBucket();
-  if (bucket) {
-    console.log(`Rate limiting enabled: TARGET_TPS=${TARGET_TPS} capacity=${bucket.capacity} interval=${BUCKET_INTERVAL_MS}ms addPerTick≈${Math.max(1, Math.floor(TARGET_TPS * BUCKET_INTERVAL_MS / 1000))}`);
+  if (TX_TYPE !== 0) {
+    feeOracle = createFeeOracle(pooledHttpProvider, { refreshMs: BASEFEE_REFRESH_MS, blobs: TX_TYPE === 3 });
+    await feeOracle.start();
+    console.log(`Dynamic fees enabled: TX_TYPE=${TX_TYPE_NAMES[TX_TYPE]} TIP_STRATEGY=${TIP_STRATEGY} MAX_FEE_MULTIPLIER=${MAX_FEE_MULTIPLIER} baseFee=${weiToGwei(feeOracle.baseFee)}gwei`);
   }
+  await prepareBlobPoolIfNeeded();
   await fundWorkersIfNeeded(primary);
+  await installDelegationsIfNeeded(primary);
+
+  // Bucket is created right before the run so a schedule's clock starts with the load itself
+  const bucket = OPEN_LOOP || planQueues ? null : createTokenBucket();
+  if (bucket?.schedule) {
+    console.log(`Rate schedule enabled: ${bucket.schedule.describe()} interval=${BUCKET_INTERVAL_MS}ms`);
+  } else if (bucket) {
+    console.log(`Rate limiting enabled: TARGET_TPS=${TARGET_TPS} capacity=${bucket.capacity} interval=${BUCKET_INTERVAL_MS}ms addPerTick≈${Math.max(1, Math.floor(TARGET_TPS * BUCKET_INTERVAL_MS / 1000))}`);
+  }
 
-  const endAt = Date.now() + DURATION_SEC * 1000;
-  const stats = { sent: 0, succ: 0, fail: 0 };
+  const startMs = await waitForSharedStart();
+  const endAt = startMs + DURATION_SEC * 1000;
+  if (OPEN_LOOP) {
+    const schedule = LOAD_SCHEDULE || parseSchedule({ type: 'constant', tps: TARGET_TPS }, DURATION_SEC);
+    openLoop = createOpenLoopScheduler(schedule, { startMs });
+    console.log(`Open-loop schedule: ${schedule.describe()} max inflight/worker=${OPEN_LOOP_MAX_INFLIGHT} lag warn=${OPEN_LOOP_LAG_WARN_MS}ms`);
+  }
+  // fail = send errors (by failureReason); reverted / dropped / unconfirmed = accepted txs without a status-1 receipt
+  const stats = { sent: 0, succ: 0, reverted: 0, dropped: 0, unconfirmed: 0, fail: 0, failReasons: {}, kindFails: {}, sending: 0, nonceManagers: [], outcomeChecks: new Set(), dropChecks: 0, capWaits: 0 };
+  const progress = createProgressReporter({
+    node: NODE_INDEX,
+    intervalMs: PROGRESS_INTERVAL_MS,
+    snapshot: () => ({
+      sent: stats.sent,
+      succ: stats.succ,
+      reverted: stats.reverted,
+      dropped: stats.dropped,
+      unconfirmed: stats.unconfirmed,
+      fail: stats.fail,
+      failReasons: { ...stats.failReasons },
+      kindFails: { ...stats.kindFails },
+      sending: stats.sending,
+      awaitingReceipt: blockFollower.pendingCount()
+    })
+  });
+  progress.start();
 
   const tasks = [];
   for (let i = 0; i < WORKERS; i++) {
-    tasks.push(runWorker(i, endAt, stats, null, bucket));
+    tasks.push(runWorker(i, endAt, stats, startMs, bucket));
   }
   // Hard stop watchdog (in case a send hangs beyond duration)
-  const watchdog = setTimeout(() => {
+  const watchdog = setTimeout(async () => {
     console.error('Watchdog: forcing exit after grace period');
-    // 統一して aggregator が拾えるよう "done:" で出力
-    console.log(`done: sent=${stats.sent} succ=${stats.succ} fail=${stats.fail}`);
+    writeTxReport(startMs);
+    printNonceCounters(stats);
+    printFollowerCounters();
+    reportEndpoints();
+    printOpenLoopReport(stats, endAt);
+    printOutcome(stats);
+    await progress.final({ watchdog: true });
     process.exit(0);
   }, DURATION_SEC * 1000 + GRACE_EXIT_MS);
 
@@ -341,13 +1146,32 @@ async function main() {
     await sleep(RECEIPT_DRAIN_MS);
   }
   clearTimeout(watchdog);
+  feeOracle?.stop();
+  blockFollower.stop();
+  headsProvider?.destroy().catch(() => { });
+  // Whatever is still waiting never got a receipt: classify it before reporting
+  blockFollower.abandon();
+  await Promise.allSettled([...stats.outcomeChecks]);
+
+  if (FEE_SUMMARY) {
+    await printFeeSummary();
+  }
+  writeTxReport(startMs);
+  printNonceCounters(stats);
+  printFollowerCounters();
+  reportEndpoints();
+  printOpenLoopReport(stats, endAt);
+  if (WORKLOAD) {
+    for (const k of summarizeByKind(txLog.records(), stats.kindFails)) console.log(formatKindLine(k));
+  }
 
   // Cleanup all shared providers
   for (const p of providerCache.values()) {
     try { await p.destroy?.(); } catch { }
   }
 
-  console.log(`done: sent=${stats.sent} succ=${stats.succ} fail=${stats.fail}`);
+  printOutcome(stats);
+  await progress.final();
   // Explicit exit to avoid lingering websockets
   process.exit(0);
 }
@@ -12,13 +12,28 @@
  *   PER_NODE_WORKERS       ノードごとの WORKERS 指定 (TOTAL_WORKERS より優先)
  *   TOTAL_WORKERS          全体 worker 数 (均等割り)
  *   DURATION_SEC           実行秒数 (各子プロセスへ継承)
+ *   LOAD_SCHEDULE          到着レートのスケジュール (インライン JSON または JSON ファイル, lib/schedule.mjs 参照)。
+ *                          全体レートとして解釈し、各ノードへ 1/n ずつ (SCHEDULE_WEIGHTS="2,1,1" で重み付け) 分配
  *   EXTRA_ENV              追加で子へ渡したい "KEY=VAL KEY2=VAL2" 形式 (任意)
  *   SIMPLE_FORWARDER_ADDRESS forwarder コントラクトアドレス (load-forward に必要)
  * 既定で ONLY_HTTP=1 USE_RAW_SEND=1 BURST_MULTIPLIER=1 を付与。
+ * 各子の tx 記録 (txs-node<i>.csv) は metrics/load_<timestamp>/ に集約され、
+ * 全ノード合算の inclusion latency (p50/p90/p99/max) と毎秒の時系列 (timeseries.csv / latency.json) を出力する。
+ * 集計結果は同ディレクトリの summary.json にも保存 (LOAD_RUN_DIR で出力先を指定可能, load-saturate が利用)。
+ * 子の進捗・最終結果は stdout ではなく Node IPC (lib/progress.mjs) で受け取り、LIVE_VIEW_INTERVAL_MS (既定 5000, 0 で無効)
+ * ごとにノード別 TPS / 失敗理由 / in-flight 数の合算ビューを表示する。final を送らずに終了した子は最後の進捗値で集計し partial と表示。
+ * REPLAY (lib/replay.mjs) 指定時は記録された送信元を NODE_COUNT で子ごとに分割して再生する。
+ * REPLAY / PLAN / LOAD_SEED 指定時は全子に共通の開始時刻 LOAD_START_MS (起動 + FUND_LAUNCH_DELAY_MS + SHARED_START_DELAY_MS, 既定 15000)
+ * を渡し、遅延起動された子でも再生クロックがずれないようにする。
+ * WORKLOAD (lib/workload.mjs) 指定時は tx 種別ごとの内訳 (送信失敗 / revert / gasUsed / latency) も合算して出力する。
  */
 import { spawn } from 'child_process';
 import fs from 'fs';
 import path from 'path';
+import { readTxCsv, writeLatencyReport } from './lib/latency.mjs';
+import { loadScheduleSpec, parseSchedule } from './lib/schedule.mjs';
+import { createLiveView } from './lib/progress.mjs';
+import { summarizeByKind, formatKindLine } from './lib/workload.mjs';
 
 function parseList(v) {
   return (v || '').split(/[,\s]+/).filter(Boolean);
@@ -65,6 +80,18 @@ if (perNodeWorkers != null) {
   workersList = Array(n).fill(8);
 }
 
+// スケジュール指定時は親で一度だけ読み込み・検証し、インライン JSON + 配分比 (LOAD_SCHEDULE_SCALE) で子へ渡す
+let scheduleJson = null, scheduleShares = null;
+if (process.env.LOAD_SCHEDULE) {
+  const spec = loadScheduleSpec(process.env.LOAD_SCHEDULE);
+  scheduleJson = JSON.stringify(spec);
+  const weights = parseList(process.env.SCHEDULE_WEIGHTS).map(Number);
+  const w = weights.length === n && weights.every(x => x >= 0) ? weights : Array(n).fill(1);
+  const sum = w.reduce((a, b) => a + b, 0) || 1;
+  scheduleShares = w.map(x => x / sum);
+  console.log(`Schedule (total): ${parseSchedule(spec, duration).describe()}`);
+}
+
 const extraEnvPairs = (process.env.EXTRA_ENV || '').trim();
 function parseExtraEnv(str) {
   if (!str) return {};
@@ -84,12 +111,23 @@ const extraEnv = parseExtraEnv(extraEnvPairs);
 console.log(`Parallel load start: duration=${duration}s nodes=${n}`);
 console.log('Per-node plan:');
 for (let i = 0; i < n; i++) {
-  console.log(`  [${i}] endpoint=${endpoints[i]} TARGET_TPS=${tpsList[i]} WORKERS=${workersList[i]}`);
+  const plan = scheduleShares ? `LOAD_SCHEDULE share=${scheduleShares[i].toFixed(3)}` : `TARGET_TPS=${tpsList[i]}`;
+  console.log(`  [${i}] endpoint=${endpoints[i]} ${plan} WORKERS=${workersList[i]}`);
 }
 
+// REPLAY / PLAN / LOAD_SEED は送信時刻が決まっているため、子ごとの起動遅延で shard 間の時計がずれないよう共通の開始時刻を渡す
+const SHARED_START_DELAY_MS = Number(process.env.SHARED_START_DELAY_MS || 15000);
+const FUND_LAUNCH_DELAY_MS = Number(process.env.FUND_LAUNCH_DELAY_MS || 4000);
+const loadStartMs = process.env.REPLAY || process.env.PLAN || process.env.LOAD_SEED ? Date.now() + FUND_LAUNCH_DELAY_MS + SHARED_START_DELAY_MS : null;
+if (loadStartMs) console.log(`Shared start: ${new Date(loadStartMs).toISOString()}`);
+
+// 子プロセス共通の出力先 (tx 記録 / latency レポート)
+const runDir = process.env.LOAD_RUN_DIR || path.join(process.cwd(), 'metrics', `load_${new Date().toISOString().replace(/[:.]/g, '-')}`);
+
 // 子プロセス生成
-const children = []; // { idx, proc, stats }
-const summaries = []; // 集計行テキスト格納
+const children = []; // { idx, proc, endpoint, final }
+const live = createLiveView(n);
+const LIVE_VIEW_INTERVAL_MS = Number(process.env.LIVE_VIEW_INTERVAL_MS || 5000);
 
 function launchNode(i) {
   const env = {
@@ -107,15 +145,25 @@ function launchNode(i) {
     FUND_WAIT: process.env.FUND_WAIT || '1',
     URL_OFFSET: String(i),
     ACCOUNT_OFFSET: String(workersList.slice(0, i).reduce((a, b) => a + b, 0)),
+    LOAD_RUN_DIR: runDir,
+    NODE_INDEX: String(i),
+    NODE_COUNT: String(n),
+    ...(loadStartMs ? { LOAD_START_MS: String(loadStartMs) } : {}),
+    ...(scheduleJson ? { LOAD_SCHEDULE: scheduleJson, LOAD_SCHEDULE_SCALE: String(scheduleShares[i]) } : {}),
     ...extraEnv
   };
   // Failoverさせるため、各子に全ENDPOINTSを渡す（load-forward側がURL_OFFSETで分散）
   env.RPC_URLS = endpoints.join(',');
-  const proc = spawn('node', ['--max-old-space-size=8192', 'scripts/load-forward.mjs'], { env, stdio: ['ignore', 'pipe', 'pipe'] });
-  const child = { idx: i, proc, endpoint: endpoints[i] };
+  const proc = spawn('node', ['--max-old-space-size=8192', 'scripts/load-forward.mjs'], { env, stdio: ['ignore', 'pipe', 'pipe', 'ipc'] });
+  const child = { idx: i, proc, endpoint: endpoints[i], final: null };
   children.push(child);
   proc.stdout.on('data', d => handleOutput(child, d.toString(), false));
   proc.stderr.on('data', d => handleOutput(child, d.toString(), true));
+  proc.on('message', (msg) => {
+    if (!msg || (msg.type !== 'progress' && msg.type !== 'final')) return;
+    live.update(i, msg);
+    if (msg.type === 'final') child.final = msg;
+  });
   proc.on('exit', (code) => {
     console.log(`[node ${i}] exited code=${code}`);
   });
@@ -123,40 +171,118 @@ function launchNode(i) {
 
 function handleOutput(child, text, isErr) {
   text.split(/\r?\n/).filter(Boolean).forEach(line => {
-    // done: sent=123 succ=120 fail=0
-    const m = line.match(/\b(?:done|final): sent=(\d+) succ=(\d+) fail=(\d+)/);
-    if (m) {
-      summaries.push(JSON.stringify({ idx: child.idx, sent: Number(m[1]), succ: Number(m[2]), fail: Number(m[3]) }));
-    }
     const prefix = isErr ? `[node ${child.idx} ERR]` : `[node ${child.idx}]`;
     console.log(prefix + ' ' + line);
   });
 }
 
 // funding 子(0)を先に起動し、残りは遅延起動して資金反映待ちを軽減
-const FUND_LAUNCH_DELAY_MS = Number(process.env.FUND_LAUNCH_DELAY_MS || 4000);
 launchNode(0);
 
+const liveTimer = LIVE_VIEW_INTERVAL_MS > 0 ? setInterval(() => console.log(live.render().join('\n')), LIVE_VIEW_INTERVAL_MS) : null;
+
+// 全子の txs-node*.csv を読み込み、合算の latency レポートを runDir に書き出す
+// kindFails: 子から受け取った種別ごとの送信失敗数 (WORKLOAD 時のみ)
+// Timestamp (ms) of the parent of the first inclusion block: asked from the endpoints, else estimated from the
+// average block interval of the recorded blocks
+async function parentBlockTsMs(firstNumber, firstTs, lastNumber, lastTs) {
+  for (const url of endpoints) {
+    try {
+      const res = await fetch(url, {
+        method: 'POST',
+        headers: { 'content-type': 'application/json' },
+        body: JSON.stringify({ jsonrpc: '2.0', id: 1, method: 'eth_getBlockByNumber', params: ['0x' + (firstNumber - 1).toString(16), false] }),
+        signal: AbortSignal.timeout(3000)
+      });
+      const ts = (await res.json())?.result?.timestamp;
+      if (ts) return Number(BigInt(ts)) * 1000;
+    } catch { /* next endpoint */ }
+  }
+  return lastNumber > firstNumber ? firstTs - (lastTs - firstTs) / (lastNumber - firstNumber) : null;
+}
+
+async function aggregateLatency(kindFails) {
+  const out = { lines: [], latency: null, includedTps: null, kinds: null };
+  let records = [];
+  try {
+    for (const f of fs.readdirSync(runDir).filter(f => /^txs-node\d+\.csv$/.test(f))) {
+      records = records.concat(readTxCsv(path.join(runDir, f)));
+    }
+  } catch { /* no records (LATENCY_REPORT=0 or all children failed) */ }
+  if (records.length === 0) return out;
+  const s = writeLatencyReport(runDir, records);
+  const d = s.inclusionMs;
+  // Same window as throughput() in lib/chain-blocks.mjs: from the parent of the first inclusion block to the last one,
+  // so the first block's txs are not counted against a span that leaves out the time they took to land
+  const included = records.filter(r => r.block_number != null && r.block_ts_ms != null);
+  let spanSec = 0;
+  if (included.length) {
+    const first = included.reduce((a, r) => (r.block_number < a.block_number ? r : a));
+    const last = included.reduce((a, r) => (r.block_number > a.block_number ? r : a));
+    const parentTs = await parentBlockTsMs(first.block_number, first.block_ts_ms, last.block_number, last.block_ts_ms);
+    if (parentTs != null) spanSec = (last.block_ts_ms - parentTs) / 1000;
+  }
+  const lines = [
+    `Included: ${s.included}/${s.submitted} (not included: ${s.notIncluded})`,
+    `Inclusion latency ms: p50=${d.p50 ?? 'n/a'} p90=${d.p90 ?? 'n/a'} p99=${d.p99 ?? 'n/a'} max=${d.max ?? 'n/a'}`
+  ];
+  if (s.scheduledMs) {
+    // OPEN_LOOP=1: latency from the intended send time and how far the generators lagged behind it
+    const sc = s.scheduledMs, l = s.sendLagMs;
+    lines.push(`Scheduled latency ms (from intended send time): p50=${sc.p50 ?? 'n/a'} p90=${sc.p90 ?? 'n/a'} p99=${sc.p99 ?? 'n/a'} max=${sc.max ?? 'n/a'}`);
+    lines.push(`Send lag ms: p50=${l.p50 ?? 'n/a'} p99=${l.p99 ?? 'n/a'} max=${l.max ?? 'n/a'}`);
+  }
+  if (spanSec > 0) lines.push(`Included TPS (by block timestamp): ${(s.included / spanSec).toFixed(2)}`);
+  let kinds = null;
+  if (records.some(r => r.kind)) {
+    kinds = summarizeByKind(records, kindFails);
+    lines.push('Per kind:');
+    kinds.forEach(k => lines.push('  ' + formatKindLine(k)));
+  }
+  lines.push(`Latency report: ${runDir}`);
+  return { lines, latency: s, includedTps: spanSec > 0 ? s.included / spanSec : null, kinds };
+}
+
 function startAggregation() {
   // 全子終了待ち → 集計
-  Promise.all(children.map(c => new Promise(res => c.proc.on('exit', res)))).then(() => {
-    let totalSent = 0, totalSucc = 0, totalFail = 0;
+  Promise.all(children.map(c => new Promise(res => c.proc.on('exit', res)))).then(async () => {
+    if (liveTimer) clearInterval(liveTimer);
+    const OUTCOMES = ['sent', 'succ', 'reverted', 'dropped', 'unconfirmed', 'fail'];
+    const totals = Object.fromEntries(OUTCOMES.map(k => [k, 0]));
+    const totalReasons = {};
     const perNode = [];
-    summaries.forEach(s => {
-      try {
-        const o = JSON.parse(s);
-        totalSent += o.sent; totalSucc += o.succ; totalFail += o.fail; perNode.push(o);
-      } catch { /* ignore */ }
-    });
+    for (const c of children) {
+      // final が届かなかった子 (クラッシュ等) は最後の progress で代用し partial として明示する
+      const m = c.final || live.latest(c.idx);
+      if (!m) {
+        perNode.push({ idx: c.idx, ...Object.fromEntries(OUTCOMES.map(k => [k, 0])), failReasons: {}, partial: true, missing: true });
+        continue;
+      }
+      const counts = Object.fromEntries(OUTCOMES.map(k => [k, m[k] || 0]));
+      for (const k of OUTCOMES) totals[k] += counts[k];
+      for (const [k, v] of Object.entries(m.failReasons || {})) totalReasons[k] = (totalReasons[k] || 0) + v;
+      perNode.push({ idx: c.idx, ...counts, failReasons: m.failReasons, kindFails: m.kindFails, partial: !c.final, watchdog: !!m.watchdog });
+    }
     perNode.sort((a, b) => a.idx - b.idx);
 
     const lines = [];
     lines.push('==== Parallel summary ====');
-    perNode.forEach(o => lines.push(`node${o.idx}: sent=${o.sent} succ=${o.succ} fail=${o.fail}`));
-    lines.push(`TOTAL: sent=${totalSent} succ=${totalSucc} fail=${totalFail}`);
+    const outcomeLine = (o, reasons) => {
+      const r = Object.entries(reasons || {}).map(([k, v]) => `${k}=${v}`).join(' ');
+      return OUTCOMES.map(k => `${k}=${o[k]}`).join(' ') + (r ? ` [${r}]` : '');
+    };
+    perNode.forEach(o => {
+      const note = o.missing ? ' (no stats received)' : o.partial ? ' (partial: no final stats)' : o.watchdog ? ' (watchdog exit)' : '';
+      lines.push(`node${o.idx}: ${outcomeLine(o, o.failReasons)}${note}`);
+    });
+    lines.push(`TOTAL: ${outcomeLine(totals, totalReasons)}`);
     // 簡易TPS (成功のみ / duration)
-    const tps = (totalSucc / duration).toFixed(2);
+    const tps = (totals.succ / duration).toFixed(2);
     lines.push(`Approx TPS (succ/duration): ${tps}`);
+    const kindFails = {};
+    perNode.forEach(o => Object.entries(o.kindFails || {}).forEach(([k, v]) => { kindFails[k] = (kindFails[k] || 0) + v; }));
+    const agg = await aggregateLatency(kindFails);
+    lines.push(...agg.lines);
 
     const summaryText = lines.join('\n');
     console.log(summaryText);
@@ -170,6 +296,12 @@ function startAggregation() {
     const logPath = path.join(metricsDir, `load_summary_${timestamp}.txt`);
     fs.writeFileSync(logPath, summaryText);
     console.log(`Saved summary to ${logPath}`);
+    fs.mkdirSync(runDir, { recursive: true });
+    fs.writeFileSync(path.join(runDir, 'summary.json'), JSON.stringify({
+      duration, endpoints, tpsList, workersList,
+      totals: { ...totals, failReasons: totalReasons },
+      perNode, approxTps: totals.succ / duration, includedTps: agg.includedTps, latency: agg.latency, kinds: agg.kinds
+    }, null, 2));
 
     process.exit(0);
   }).catch(e => {
@@ -0,0 +1,293 @@
+#!/usr/bin/env node
+/**
+ * load-read.mjs
+ * Read-path RPC load: drives a weighted mix of read methods against the EL endpoints and reports latency
+ * percentiles and error rates per method (and per endpoint). Run it next to load-parallel to see how RPC serving
+ * degrades while the nodes import heavy blocks.
+ *
+ * Methods (READ_MIX weights, inline JSON / JSON file, default below):
+ *   eth_call                 Multicall3 aggregate3(getEthBalance x READ_CALL_BATCH) on recently seen addresses
+ *   eth_getLogs              [head - READ_LOGS_RANGE, head] (READ_LOGS_ADDRESS narrows it to one contract)
+ *   eth_getBalance           recently seen address at latest
+ *   eth_getStorageAt         slot 0..3 of a recently seen address
+ *   eth_getBlockByNumber     one of the last 64 blocks with full txs
+ *   debug_traceTransaction   recent tx with READ_TRACER (callTracer); skipped until a tx has been seen
+ * Addresses, tx hashes and the head come from a background sampler that is not counted in the results.
+ *
+ * Env:
+ *   ENDPOINTS              comma separated HTTP RPC URLs (requests rotate across them)
+ *   DURATION_SEC=30        run time
+ *   READ_CONCURRENCY=16    concurrent requests
+ *   READ_TARGET_RPS=0      total request rate (0 = closed loop, as fast as READ_CONCURRENCY allows)
+ *   READ_TIMEOUT_MS=10000  per request timeout (counted as an error)
+ *   READ_REPORT_SEC=5      interval of the per-window lines (latency over time)
+ * Output: metrics/read_<timestamp>/ (summary.json, windows.csv)
+ */
+import fs from 'node:fs';
+import path from 'node:path';
+import { Interface } from 'ethers';
+import { distribution, writeCsv } from './lib/latency.mjs';
+import { MULTICALL3_ADDRESS } from './lib/setcode.mjs';
+
+function parseList(v) {
+  return (v || '').split(/[,\s]+/).filter(Boolean);
+}
+
+const endpoints = parseList(process.env.ENDPOINTS || 'http://127.0.0.1:8545,http://127.0.0.1:8547,http://127.0.0.1:8548');
+const DURATION_SEC = Number(process.env.DURATION_SEC || 30);
+const CONCURRENCY = Number(process.env.READ_CONCURRENCY || 16);
+const TARGET_RPS = Number(process.env.READ_TARGET_RPS || 0);
+const TIMEOUT_MS = Number(process.env.READ_TIMEOUT_MS || 10000);
+const REPORT_SEC = Number(process.env.READ_REPORT_SEC || 5);
+const LOGS_RANGE = Number(process.env.READ_LOGS_RANGE || 100);
+const LOGS_ADDRESS = process.env.READ_LOGS_ADDRESS || null;
+const CALL_BATCH = Number(process.env.READ_CALL_BATCH || 10);
+const TRACER = process.env.READ_TRACER || 'callTracer';
+const DEFAULT_MIX = {
+  eth_call: 25,
+  eth_getLogs: 10,
+  eth_getBalance: 20,
+  eth_getStorageAt: 15,
+  eth_getBlockByNumber: 15,
+  debug_traceTransaction: 15
+};
+
+function loadMix(value) {
+  const v = String(value || '').trim();
+  if (!v) return DEFAULT_MIX;
+  const mix = v.startsWith('{') ? JSON.parse(v) : JSON.parse(fs.readFileSync(v.startsWith('@') ? v.slice(1) : v, 'utf8'));
+  for (const m of Object.keys(mix)) {
+    if (!(m in DEFAULT_MIX)) throw new Error(`READ_MIX: unknown method ${m} (use ${Object.keys(DEFAULT_MIX).join(', ')})`);
+  }
+  return mix;
+}
+const MIX = Object.entries(loadMix(process.env.READ_MIX)).filter(([, w]) => Number(w) > 0).map(([m, w]) => [m, Number(w)]);
+const MIX_TOTAL = MIX.reduce((a, [, w]) => a + w, 0);
+
+const outDir = path.join(process.cwd(), 'metrics', `read_${new Date().toISOString().replace(/[:.]/g, '-')}`);
+const multicall = new Interface([
+  'function aggregate3((address target, bool allowFailure, bytes callData)[] calls) payable returns ((bool success, bytes returnData)[] returnData)',
+  'function getEthBalance(address addr) view returns (uint256 balance)'
+]);
+
+function sleep(ms) { return new Promise(res => setTimeout(res, ms)); }
+
+// Raw JSON-RPC over fetch so the measured latency is the node's, not a client library's
+async function jsonRpc(url, method, params) {
+  const res = await fetch(url, {
+    method: 'POST',
+    headers: { 'content-type': 'application/json' },
+    body: JSON.stringify({ jsonrpc: '2.0', id: 1, method, params }),
+    signal: AbortSignal.timeout(TIMEOUT_MS)
+  });
+  if (!res.ok) throw new Error(`HTTP ${res.status}`);
+  const json = await res.json();
+  if (json.error) throw new Error(`rpc ${json.error.code}: ${json.error.message}`);
+  return json.result;
+}
+
+function errorClass(e) {
+  const msg = (e && e.message) || String(e);
+  if (e?.name === 'TimeoutError' || /abort|timeout/i.test(msg)) return 'timeout';
+  if (/^HTTP /.test(msg)) return msg.split(':')[0];
+  if (/^rpc /.test(msg)) return msg.split(':')[0];
+  return 'network';
+}
+
+// Recent head / addresses / tx hashes for building request params
+const sample = { head: null, addresses: [], txs: [] };
+const pick = (arr) => arr[Math.floor(Math.random() * arr.length)];
+
+async function refreshSample() {
+  try {
+    const head = Number(BigInt(await jsonRpc(endpoints[0], 'eth_blockNumber', [])));
+    if (head === sample.head) return;
+    sample.head = head;
+    const blk = await jsonRpc(endpoints[0], 'eth_getBlockByNumber', ['0x' + head.toString(16), true]);
+    const addrs = new Set(sample.addresses);
+    const txs = [...sample.txs];
+    for (const tx of blk?.transactions || []) {
+      addrs.add(tx.from);
+      if (tx.to) addrs.add(tx.to);
+      txs.push(tx.hash);
+    }
+    if (blk?.miner) addrs.add(blk.miner);
+    sample.addresses = [...addrs].slice(-500);
+    sample.txs = txs.slice(-500);
+  } catch { /* keep the previous sample */ }
+}
+
+// -> [method, params] or null when the method has nothing to work on yet
+function buildRequest(method) {
+  const head = sample.head ?? 0;
+  const addr = sample.addresses.length ? pick(sample.addresses) : MULTICALL3_ADDRESS;
+  switch (method) {
+    case 'eth_call': {
+      const calls = [];
+      for (let k = 0; k < CALL_BATCH; k++) {
+        const a = sample.addresses.length ? pick(sample.addresses) : MULTICALL3_ADDRESS;
+        calls.push({ target: MULTICALL3_ADDRESS, allowFailure: true, callData: multicall.encodeFunctionData('getEthBalance', [a]) });
+      }
+      return ['eth_call', [{ to: MULTICALL3_ADDRESS, data: multicall.encodeFunctionData('aggregate3', [calls]) }, 'latest']];
+    }
+    case 'eth_getLogs': {
+      const filter = { fromBlock: '0x' + Math.max(0, head - LOGS_RANGE).toString(16), toBlock: '0x' + head.toString(16) };
+      if (LOGS_ADDRESS) filter.address = LOGS_ADDRESS;
+      return ['eth_getLogs', [filter]];
+    }
+    case 'eth_getBalance':
+      return ['eth_getBalance', [addr, 'latest']];
+    case 'eth_getStorageAt':
+      return ['eth_getStorageAt', [addr, '0x' + Math.floor(Math.random() * 4).toString(16), 'latest']];
+    case 'eth_getBlockByNumber':
+      return ['eth_getBlockByNumber', ['0x' + Math.max(0, head - Math.floor(Math.random() * 64)).toString(16), true]];
+    case 'debug_traceTransaction':
+      if (sample.txs.length === 0) return null;
+      return ['debug_traceTransaction', [pick(sample.txs), { tracer: TRACER }]];
+  }
+  return null;
+}
+
+function pickMethod() {
+  let r = Math.random() * MIX_TOTAL;
+  for (const [m, w] of MIX) {
+    r -= w;
+    if (r < 0) return m;
+  }
+  return MIX[MIX.length - 1][0];
+}
+
+// Per method (and per endpoint) results; window holds the samples of the current report interval
+function createStats() {
+  const byKey = new Map();
+  const get = (key) => {
+    if (!byKey.has(key)) byKey.set(key, { requests: 0, errors: 0, skipped: 0, errorClasses: {}, latencies: [], window: { requests: 0, errors: 0, latencies: [] } });
+    return byKey.get(key);
+  };
+  return {
+    ok(key, ms) {
+      const s = get(key);
+      s.requests++;
+      s.latencies.push(ms);
+      s.window.requests++;
+      s.window.latencies.push(ms);
+    },
+    error(key, ms, cls) {
+      const s = get(key);
+      s.requests++;
+      s.errors++;
+      s.errorClasses[cls] = (s.errorClasses[cls] || 0) + 1;
+      s.window.requests++;
+      s.window.errors++;
+    },
+    skipped(key) { get(key).skipped++; },
+    entries() { return [...byKey.entries()].sort((a, b) => a[0].localeCompare(b[0])); }
+  };
+}
+
+function summarizeEntry(s) {
+  return {
+    requests: s.requests,
+    errors: s.errors,
+    errorRate: s.requests > 0 ? s.errors / s.requests : 0,
+    skipped: s.skipped,
+    errorClasses: s.errorClasses,
+    latencyMs: distribution(s.latencies)
+  };
+}
+
+function fmtDist(d) {
+  return `p50=${d.p50 ?? 'n/a'} p90=${d.p90 ?? 'n/a'} p99=${d.p99 ?? 'n/a'} max=${d.max ?? 'n/a'}`;
+}
+
+async function main() {
+  if (endpoints.length === 0 || MIX.length === 0) {
+    console.error('ERROR: need ENDPOINTS and at least one method with weight > 0 in READ_MIX');
+    process.exit(1);
+  }
+  fs.mkdirSync(outDir, { recursive: true });
+  console.log(`Read load: endpoints=${endpoints.length} duration=${DURATION_SEC}s concurrency=${CONCURRENCY} rps=${TARGET_RPS || 'unlimited'} mix=${MIX.map(([m, w]) => `${m}:${w}`).join(',')}`);
+  await refreshSample();
+  const sampler = setInterval(refreshSample, 1000);
+
+  const methods = createStats();
+  const perEndpoint = createStats();
+  const windows = [];
+  const startMs = Date.now();
+  const endAt = startMs + DURATION_SEC * 1000;
+  let nextSlot = startMs;
+  let urlIdx = 0;
+
+  // Window report: per-method latency of the last REPORT_SEC seconds
+  const reporter = setInterval(() => {
+    const sec = Math.round((Date.now() - startMs) / 1000);
+    const parts = [];
+    for (const [m, s] of methods.entries()) {
+      const d = distribution(s.window.latencies);
+      windows.push({ sec, method: m, requests: s.window.requests, errors: s.window.errors, p50_ms: d.p50, p90_ms: d.p90, p99_ms: d.p99, max_ms: d.max });
+      parts.push(`${m} n=${s.window.requests} err=${s.window.errors} p50=${d.p50 ?? '-'} p99=${d.p99 ?? '-'}`);
+      s.window = { requests: 0, errors: 0, latencies: [] };
+    }
+    console.log(`[read t=${sec}s] head=${sample.head ?? 'n/a'} ${parts.join(' | ')}`);
+  }, REPORT_SEC * 1000);
+
+  const worker = async () => {
+    while (Date.now() < endAt) {
+      if (TARGET_RPS > 0) {
+        // Shared pacer: each request claims the next slot of the target rate
+        const slot = Math.max(nextSlot, Date.now());
+        nextSlot = slot + 1000 / TARGET_RPS;
+        if (slot > Date.now()) await sleep(slot - Date.now());
+        if (Date.now() >= endAt) break;
+      }
+      const m = pickMethod();
+      const req = buildRequest(m);
+      if (!req) {
+        methods.skipped(m);
+        await sleep(10);
+        continue;
+      }
+      const url = endpoints[urlIdx++ % endpoints.length];
+      const t0 = performance.now();
+      try {
+        await jsonRpc(url, req[0], req[1]);
+        const ms = Math.round(performance.now() - t0);
+        methods.ok(m, ms);
+        perEndpoint.ok(url, ms);
+      } catch (e) {
+        const ms = Math.round(performance.now() - t0);
+        methods.error(m, ms, errorClass(e));
+        perEndpoint.error(url, ms, errorClass(e));
+      }
+    }
+  };
+  await Promise.all(Array.from({ length: CONCURRENCY }, worker));
+  clearInterval(sampler);
+  clearInterval(reporter);
+
+  const elapsedSec = (Date.now() - startMs) / 1000;
+  const summary = { duration: DURATION_SEC, concurrency: CONCURRENCY, targetRps: TARGET_RPS, mix: Object.fromEntries(MIX), methods: {}, endpoints: {} };
+  const lines = ['==== Read load summary ===='];
+  let total = 0, totalErr = 0;
+  for (const [m, s] of methods.entries()) {
+    const r = summarizeEntry(s);
+    summary.methods[m] = r;
+    total += r.requests;
+    totalErr += r.errors;
+    const classes = Object.entries(r.errorClasses).map(([k, v]) => `${k}=${v}`).join(' ');
+    lines.push(`${m}: n=${r.requests} rps=${(r.requests / elapsedSec).toFixed(1)} errRate=${(r.errorRate * 100).toFixed(2)}% ${fmtDist(r.latencyMs)}${r.skipped ? ` skipped=${r.skipped}` : ''}${classes ? ` [${classes}]` : ''}`);
+  }
+  for (const [url, s] of perEndpoint.entries()) {
+    const r = summarizeEntry(s);
+    summary.endpoints[url] = r;
+    lines.push(`endpoint ${url}: n=${r.requests} errRate=${(r.errorRate * 100).toFixed(2)}% ${fmtDist(r.latencyMs)}`);
+  }
+  lines.push(`TOTAL: n=${total} rps=${(total / elapsedSec).toFixed(1)} errors=${totalErr}`);
+  console.log(lines.join('\n'));
+  summary.totals = { requests: total, errors: totalErr, rps: total / elapsedSec };
+  fs.writeFileSync(path.join(outDir, 'summary.json'), JSON.stringify(summary, null, 2));
+  writeCsv(path.join(outDir, 'windows.csv'), ['sec', 'method', 'requests', 'errors', 'p50_ms', 'p90_ms', 'p99_ms', 'max_ms'], windows);
+  console.log(`Saved read load report to ${outDir}`);
+}
+
+main().catch((e) => { console.error(e); process.exit(1); });
@@ -0,0 +1,182 @@
+#!/usr/bin/env node
+/**
+ * load-saturate.mjs
+ * Steps the offered load up automatically (via scripts/load-parallel.mjs) until an SLO is breached,
+ * then reports the highest sustainable TPS together with the evidence collected for every step.
+ *
+ * Each step runs load-parallel with TOTAL_TARGET_TPS=<offered> for SAT_STEP_SEC and evaluates:
+ *   - p95 inclusion latency (from the step's latency report)        <= SLO_P95_MS
+ *   - failure ratio (send failures + never included) / attempted    <= SLO_FAIL_RATIO
+ *   - txpool pending growth (txpool_status, max over ENDPOINTS)     <= SLO_POOL_GROWTH_PER_SEC
+ *   - achieved included TPS / offered TPS                           >= SLO_MIN_ACHIEVED_RATIO
+ * After the first breach, SAT_REFINE_STEPS bisection steps narrow the ceiling between the last pass and the breach.
+ *
+ * Env:
+ *   ENDPOINTS                 comma separated RPC URLs (required, passed through to load-parallel)
+ *   SAT_START_TPS=50 SAT_STEP_TPS=50 SAT_MAX_TPS=2000   linear steps (SAT_STEP_FACTOR=1.5 for geometric steps)
+ *   SAT_STEP_SEC=30           duration of each step
+ *   SAT_COOLDOWN_SEC=10       pause between steps so the pool can drain
+ *   SAT_REFINE_STEPS=2        bisection steps after the first breach (0 = off)
+ *   SLO_P95_MS=6000 SLO_FAIL_RATIO=0.01 SLO_POOL_GROWTH_PER_SEC=20 SLO_MIN_ACHIEVED_RATIO=0.9
+ *   TOTAL_WORKERS etc.        forwarded to load-parallel unchanged
+ * Output: metrics/saturation_<timestamp>/ (steps.json, report.txt, one load-parallel run dir per step)
+ */
+import { spawn } from 'child_process';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+function parseList(v) {
+  return (v || '').split(/[,\s]+/).filter(Boolean);
+}
+
+const endpoints = parseList(process.env.ENDPOINTS);
+if (endpoints.length === 0) {
+  console.error('ERROR: ENDPOINTS is required (e.g. ENDPOINTS=http://127.0.0.1:8545,http://127.0.0.1:8547,http://127.0.0.1:8548)');
+  process.exit(1);
+}
+
+const START_TPS = Number(process.env.SAT_START_TPS || 50);
+const STEP_TPS = Number(process.env.SAT_STEP_TPS || 50);
+const STEP_FACTOR = Number(process.env.SAT_STEP_FACTOR || 0);
+const MAX_TPS = Number(process.env.SAT_MAX_TPS || 2000);
+const STEP_SEC = Number(process.env.SAT_STEP_SEC || 30);
+const COOLDOWN_SEC = Number(process.env.SAT_COOLDOWN_SEC || 10);
+const REFINE_STEPS = Number(process.env.SAT_REFINE_STEPS || 2);
+const SLO_P95_MS = Number(process.env.SLO_P95_MS || 6000);
+const SLO_FAIL_RATIO = Number(process.env.SLO_FAIL_RATIO || 0.01);
+const SLO_POOL_GROWTH_PER_SEC = Number(process.env.SLO_POOL_GROWTH_PER_SEC || 20);
+const SLO_MIN_ACHIEVED_RATIO = Number(process.env.SLO_MIN_ACHIEVED_RATIO || 0.9);
+
+const satDir = path.join(process.cwd(), 'metrics', `saturation_${new Date().toISOString().replace(/[:.]/g, '-')}`);
+
+function sleep(ms) { return new Promise(res => setTimeout(res, ms)); }
+
+async function jsonRpc(url, method, params = []) {
+  const res = await fetch(url, {
+    method: 'POST',
+    headers: { 'content-type': 'application/json' },
+    body: JSON.stringify({ jsonrpc: '2.0', id: 1, method, params })
+  });
+  if (!res.ok) throw new Error(`${method} HTTP ${res.status}`);
+  const json = await res.json();
+  if (json.error) throw new Error(`${method} error: ${json.error.message || json.error.code}`);
+  return json.result;
+}
+
+// txpool_status pending per endpoint (null when unreachable)
+async function samplePool() {
+  return Promise.all(endpoints.map(async (url) => {
+    try {
+      const r = await jsonRpc(url, 'txpool_status');
+      return Number(BigInt(r.pending));
+    } catch { return null; }
+  }));
+}
+
+function runLoadParallel(tps, runDir) {
+  return new Promise((resolve) => {
+    const env = { ...process.env, TOTAL_TARGET_TPS: String(tps), DURATION_SEC: String(STEP_SEC), LOAD_RUN_DIR: runDir };
+    delete env.PER_NODE_TARGET_TPS;
+    delete env.LOAD_SCHEDULE;
+    const proc = spawn('node', [path.join(__dirname, 'load-parallel.mjs')], { env, stdio: 'inherit' });
+    proc.on('exit', code => resolve(code));
+  });
+}
+
+async function runStep(k, tps) {
+  const runDir = path.join(satDir, `step-${String(k).padStart(2, '0')}-${tps}tps`);
+  console.log(`\n[saturate] step ${k}: offered=${tps} TPS for ${STEP_SEC}s`);
+  const poolBefore = await samplePool();
+  const t0 = Date.now();
+  const code = await runLoadParallel(tps, runDir);
+  const elapsedSec = (Date.now() - t0) / 1000;
+  const poolAfter = await samplePool();
+
+  let summary = null;
+  try { summary = JSON.parse(fs.readFileSync(path.join(runDir, 'summary.json'), 'utf8')); } catch { /* missing */ }
+  const sent = summary?.totals?.sent ?? 0;
+  const fail = summary?.totals?.fail ?? 0;
+  const notIncluded = summary?.latency?.notIncluded ?? 0;
+  const attempted = sent + fail;
+  const failRatio = attempted > 0 ? (fail + notIncluded) / attempted : 1;
+  const p95 = summary?.latency?.inclusionMs?.p95 ?? null;
+  const achievedTps = summary?.includedTps ?? 0;
+  const growth = poolBefore.map((b, i) => (b != null && poolAfter[i] != null ? (poolAfter[i] - b) / elapsedSec : null));
+  const maxGrowth = growth.filter(g => g != null).reduce((a, g) => Math.max(a, g), -Infinity);
+
+  const breaches = [];
+  if (!summary) breaches.push(`no summary (load-parallel exit=${code})`);
+  if (p95 == null || p95 > SLO_P95_MS) breaches.push(`p95 inclusion ${p95 ?? 'n/a'}ms > ${SLO_P95_MS}ms`);
+  if (failRatio > SLO_FAIL_RATIO) breaches.push(`failure ratio ${failRatio.toFixed(4)} > ${SLO_FAIL_RATIO}`);
+  if (Number.isFinite(maxGrowth) && maxGrowth > SLO_POOL_GROWTH_PER_SEC) breaches.push(`txpool pending growth ${maxGrowth.toFixed(1)}/s > ${SLO_POOL_GROWTH_PER_SEC}/s`);
+  if (achievedTps < tps * SLO_MIN_ACHIEVED_RATIO) breaches.push(`achieved ${achievedTps.toFixed(1)} TPS < ${(SLO_MIN_ACHIEVED_RATIO * 100).toFixed(0)}% of offered`);
+
+  const step = {
+    step: k, offeredTps: tps, achievedTps, sent, fail, notIncluded, failRatio,
+    inclusionMs: summary?.latency?.inclusionMs ?? null,
+    poolPendingBefore: poolBefore, poolPendingAfter: poolAfter, poolGrowthPerSec: growth,
+    pass: breaches.length === 0, breaches, runDir
+  };
+  console.log(`[saturate] step ${k}: ${step.pass ? 'PASS' : 'BREACH'} achieved=${achievedTps.toFixed(1)} p95=${p95 ?? 'n/a'}ms failRatio=${failRatio.toFixed(4)} poolGrowth=${Number.isFinite(maxGrowth) ? maxGrowth.toFixed(1) : 'n/a'}/s${breaches.length ? ' -> ' + breaches.join('; ') : ''}`);
+  return step;
+}
+
+function nextTps(tps) {
+  return STEP_FACTOR > 1 ? Math.ceil(tps * STEP_FACTOR) : tps + STEP_TPS;
+}
+
+function writeReport(steps) {
+  const passed = steps.filter(s => s.pass);
+  const best = passed.reduce((a, s) => (a == null || s.offeredTps > a.offeredTps ? s : a), null);
+  const lines = ['==== Saturation search ===='];
+  lines.push(`SLO: p95<=${SLO_P95_MS}ms failRatio<=${SLO_FAIL_RATIO} poolGrowth<=${SLO_POOL_GROWTH_PER_SEC}/s achieved>=${SLO_MIN_ACHIEVED_RATIO * 100}% of offered`);
+  for (const s of steps) {
+    const d = s.inclusionMs || {};
+    lines.push(`step ${s.step}: offered=${s.offeredTps} achieved=${s.achievedTps.toFixed(1)} p50=${d.p50 ?? 'n/a'} p95=${d.p95 ?? 'n/a'} p99=${d.p99 ?? 'n/a'} failRatio=${s.failRatio.toFixed(4)} ${s.pass ? 'PASS' : 'BREACH: ' + s.breaches.join('; ')}`);
+  }
+  lines.push(best
+    ? `Max sustainable TPS: ${best.offeredTps} (achieved ${best.achievedTps.toFixed(1)}, step ${best.step})`
+    : 'Max sustainable TPS: none (first step already breached the SLO)');
+  const text = lines.join('\n');
+  console.log('\n' + text);
+  fs.writeFileSync(path.join(satDir, 'report.txt'), text + '\n');
+  fs.writeFileSync(path.join(satDir, 'steps.json'), JSON.stringify({
+    slo: { p95Ms: SLO_P95_MS, failRatio: SLO_FAIL_RATIO, poolGrowthPerSec: SLO_POOL_GROWTH_PER_SEC, minAchievedRatio: SLO_MIN_ACHIEVED_RATIO },
+    maxSustainableTps: best ? best.offeredTps : null,
+    steps
+  }, null, 2));
+  console.log(`Saved saturation report to ${satDir}`);
+}
+
+async function main() {
+  fs.mkdirSync(satDir, { recursive: true });
+  console.log(`Saturation search: start=${START_TPS} ${STEP_FACTOR > 1 ? `factor=${STEP_FACTOR}` : `step=${STEP_TPS}`} max=${MAX_TPS} stepSec=${STEP_SEC}`);
+  const steps = [];
+  let lastPass = null;
+  let breach = null;
+  for (let tps = START_TPS; tps <= MAX_TPS; tps = nextTps(tps)) {
+    const s = await runStep(steps.length + 1, tps);
+    steps.push(s);
+    if (!s.pass) { breach = tps; break; }
+    lastPass = tps;
+    await sleep(COOLDOWN_SEC * 1000);
+  }
+  // 破綻点と最後の合格点の間を二分探索で詰める
+  if (breach != null && lastPass != null) {
+    let lo = lastPass, hi = breach;
+    for (let r = 0; r < REFINE_STEPS; r++) {
+      const mid = Math.round((lo + hi) / 2);
+      if (mid <= lo || mid >= hi) break;
+      await sleep(COOLDOWN_SEC * 1000);
+      const s = await runStep(steps.length + 1, mid);
+      steps.push(s);
+      if (s.pass) lo = mid; else hi = mid;
+    }
+  }
+  writeReport(steps);
+}
+
+main().catch((e) => { console.error(e); process.exit(1); });
@@ -0,0 +1,320 @@
+#!/usr/bin/env node
+/**
+ * mempool-scenarios.mjs
+ * Sends conflicting traffic on purpose and checks what every geth node's txpool (txpool_status / txpool_contentFrom)
+ * reports and what finally lands in blocks. Each scenario runs on its own funded account.
+ *   replace      same-nonce replacement below the price bump (rejected) and at the bump (replaces, and is the one mined)
+ *   underpriced  zero tip (rejected below txpool.pricelimit) and maxFeePerGas under the base fee (pooled, never mined
+ *                until it is replaced with a proper fee)
+ *   gap          future nonces leave a gap: queued on the receiving node only, nothing mined until the gap is filled
+ *   flood        gapped flood beyond txpool.accountqueue (queue is capped) and a sequential flood from one account
+ *                (pending on every node, all eventually mined)
+ *
+ * Env:
+ *   ENDPOINTS                HTTP RPC URLs; txs go to the first one, every one is inspected
+ *   DEPLOYER_PK              funds the scenario accounts (falls back to PRIV_KEY / the devnet key from README)
+ *   MEMPOOL_SCENARIOS        comma separated subset (default: replace,underpriced,gap,flood)
+ *   MEMPOOL_ACCOUNT_OFFSET=9000  scenario accounts are worker accounts (lib/accounts.mjs) from this index on
+ *   TXPOOL_PRICE_BUMP=10 TXPOOL_ACCOUNT_QUEUE=64   geth txpool settings the checks expect
+ *   FLOOD_EXTRA=36 FLOOD_COUNT=200                 txs beyond the queue cap / sequential flood size
+ *   MEMPOOL_SETTLE_MS=3000   wait before inspecting pools (propagation), MEMPOOL_MINE_TIMEOUT_MS=60000
+ * Output: metrics/mempool_<timestamp>/report.json; exit code 1 when any check fails.
+ */
+import fs from 'node:fs';
+import path from 'node:path';
+import { Wallet, parseEther } from 'ethers';
+import { GWEI } from './lib/fees.mjs';
+import { createAccountSource } from './lib/accounts.mjs';
+
+function parseList(v) {
+  return (v || '').split(/[,\s]+/).filter(Boolean);
+}
+
+const endpoints = parseList(process.env.ENDPOINTS || 'http://127.0.0.1:8545,http://127.0.0.1:8547,http://127.0.0.1:8548');
+const SEND_URL = endpoints[0];
+const DEPLOYER_PK = process.env.DEPLOYER_PK || process.env.PRIV_KEY || '0xac0974bec39a17e36ba4a6b4d238ff944bacb478cbed5efcae784d7bf4f2ff80'; // devnet key from README
+const SCENARIOS = parseList(process.env.MEMPOOL_SCENARIOS || 'replace,underpriced,gap,flood');
+const ACCOUNT_OFFSET = Number(process.env.MEMPOOL_ACCOUNT_OFFSET || 9000);
+const PRICE_BUMP = Number(process.env.TXPOOL_PRICE_BUMP || 10);
+const ACCOUNT_QUEUE = Number(process.env.TXPOOL_ACCOUNT_QUEUE || 64);
+const FLOOD_EXTRA = Number(process.env.FLOOD_EXTRA || 36);
+const FLOOD_COUNT = Number(process.env.FLOOD_COUNT || 200);
+const SETTLE_MS = Number(process.env.MEMPOOL_SETTLE_MS || 3000);
+const MINE_TIMEOUT_MS = Number(process.env.MEMPOOL_MINE_TIMEOUT_MS || 60000);
+const FUND_ETH = process.env.MEMPOOL_FUND_ETH || '10';
+const RECIPIENT = process.env.MEMPOOL_RECIPIENT || '0x70997970c51812dc3a010c7d01b50e0d17dc79c8';
+const TIP = GWEI;
+
+const outDir = path.join(process.cwd(), 'metrics', `mempool_${new Date().toISOString().replace(/[:.]/g, '-')}`);
+
+function sleep(ms) { return new Promise(res => setTimeout(res, ms)); }
+
+async function jsonRpc(url, method, params = []) {
+  const res = await fetch(url, {
+    method: 'POST',
+    headers: { 'content-type': 'application/json' },
+    body: JSON.stringify({ jsonrpc: '2.0', id: 1, method, params })
+  });
+  if (!res.ok) throw new Error(`${method} HTTP ${res.status}`);
+  const json = await res.json();
+  if (json.error) throw new Error(json.error.message || String(json.error.code));
+  return json.result;
+}
+
+// Same account source as load-forward, far past the load workers
+const ACCOUNTS = createAccountSource();
+function accountKey(i) {
+  return ACCOUNTS.key(i + ACCOUNT_OFFSET);
+}
+
+let chainId = null;
+async function baseFee() {
+  const blk = await jsonRpc(SEND_URL, 'eth_getBlockByNumber', ['latest', false]);
+  return BigInt(blk.baseFeePerGas);
+}
+async function pendingNonce(address) {
+  return Number(BigInt(await jsonRpc(SEND_URL, 'eth_getTransactionCount', [address, 'pending'])));
+}
+async function latestNonce(address) {
+  return Number(BigInt(await jsonRpc(SEND_URL, 'eth_getTransactionCount', [address, 'latest'])));
+}
+
+// Signs and submits; never throws so rejections are recorded as results
+async function send(wallet, label, { nonce, maxFeePerGas, maxPriorityFeePerGas }) {
+  const tx = { type: 2, chainId, to: RECIPIENT, value: 1n, gasLimit: 21000n, nonce, maxFeePerGas, maxPriorityFeePerGas };
+  const raw = await wallet.signTransaction(tx);
+  try {
+    const hash = await jsonRpc(SEND_URL, 'eth_sendRawTransaction', [raw]);
+    return { label, nonce, maxFeePerGas: String(maxFeePerGas), tip: String(maxPriorityFeePerGas), accepted: true, hash };
+  } catch (e) {
+    return { label, nonce, maxFeePerGas: String(maxFeePerGas), tip: String(maxPriorityFeePerGas), accepted: false, error: e.message };
+  }
+}
+
+function bump(v, pct) {
+  return (v * BigInt(100 + pct) + 99n) / 100n;
+}
+
+// Per node: txpool_status plus this account's pending / queued nonce -> hash
+async function poolView(address) {
+  return Promise.all(endpoints.map(async (url) => {
+    try {
+      const [status, content] = await Promise.all([
+        jsonRpc(url, 'txpool_status'),
+        jsonRpc(url, 'txpool_contentFrom', [address])
+      ]);
+      const map = (o) => Object.fromEntries(Object.entries(o || {}).map(([n, tx]) => [Number(n), tx.hash]));
+      return { url, pending: Number(BigInt(status.pending)), queued: Number(BigInt(status.queued)), account: { pending: map(content?.pending), queued: map(content?.queued) } };
+    } catch (e) {
+      return { url, error: e.message };
+    }
+  }));
+}
+
+async function receipt(hash) {
+  try { return await jsonRpc(SEND_URL, 'eth_getTransactionReceipt', [hash]); } catch { return null; }
+}
+
+// Waits until the account's latest nonce reaches target (or timeout); returns the latest nonce
+async function waitNonce(address, target, timeoutMs = MINE_TIMEOUT_MS) {
+  const until = Date.now() + timeoutMs;
+  let n = await latestNonce(address);
+  while (n < target && Date.now() < until) {
+    await sleep(1000);
+    n = await latestNonce(address);
+  }
+  return n;
+}
+
+async function fundAccounts(addresses) {
+  const deployer = new Wallet(DEPLOYER_PK);
+  const want = parseEther(FUND_ETH);
+  let nonce = await pendingNonce(deployer.address);
+  const fee = await baseFee();
+  const hashes = [];
+  for (const address of addresses) {
+    const bal = BigInt(await jsonRpc(SEND_URL, 'eth_getBalance', [address, 'latest']));
+    if (bal >= want / 2n) continue;
+    const raw = await deployer.signTransaction({ type: 2, chainId, to: address, value: want, gasLimit: 21000n, nonce: nonce++, maxFeePerGas: fee * 2n + TIP, maxPriorityFeePerGas: TIP });
+    hashes.push(await jsonRpc(SEND_URL, 'eth_sendRawTransaction', [raw]));
+  }
+  if (hashes.length === 0) return;
+  console.log(`Funding ${hashes.length} scenario accounts with ${FUND_ETH} ETH`);
+  const until = Date.now() + MINE_TIMEOUT_MS;
+  while (Date.now() < until) {
+    const rs = await Promise.all(hashes.map(receipt));
+    if (rs.every(Boolean)) return;
+    await sleep(1000);
+  }
+  throw new Error('funding txs not mined in time');
+}
+
+function check(name, pass, detail) {
+  return { check: name, pass: !!pass, detail };
+}
+
+const scenarios = {
+  async replace(wallet) {
+    const fee = await baseFee();
+    const nonce = await pendingNonce(wallet.address);
+    const original = { nonce, maxFeePerGas: fee * 2n + TIP, maxPriorityFeePerGas: TIP };
+    const below = Math.max(1, Math.floor(PRICE_BUMP / 2));
+    const txs = [];
+    txs.push(await send(wallet, 'original', original));
+    txs.push(await send(wallet, `bump+${below}%`, { nonce, maxFeePerGas: bump(original.maxFeePerGas, below), maxPriorityFeePerGas: bump(TIP, below) }));
+    txs.push(await send(wallet, `bump+${PRICE_BUMP}%`, { nonce, maxFeePerGas: bump(original.maxFeePerGas, PRICE_BUMP), maxPriorityFeePerGas: bump(TIP, PRICE_BUMP) }));
+    const [orig, low, ok] = txs;
+    await sleep(SETTLE_MS);
+    const minedBefore = await latestNonce(wallet.address);
+    const pools = await poolView(wallet.address);
+    await waitNonce(wallet.address, nonce + 1);
+    const mined = ok.hash ? await receipt(ok.hash) : null;
+    const minedOrig = orig.hash ? await receipt(orig.hash) : null;
+    // Mined before the snapshot: the pools no longer hold the nonce, so only the receipt says which tx won
+    const held = minedBefore > nonce ? !!mined : pools.every(p => p.account?.pending?.[nonce] === ok.hash);
+    return {
+      txs, pools,
+      checks: [
+        check('original accepted', orig.accepted, orig.error),
+        check(`replacement below ${PRICE_BUMP}% rejected as underpriced`, !low.accepted && /underpriced/i.test(low.error || ''), low.error || 'accepted'),
+        check(`replacement at ${PRICE_BUMP}% accepted`, ok.accepted, ok.error),
+        check('every node holds the replacement for the nonce', held, minedBefore > nonce ? 'mined before the pool snapshot' : pools.map(p => `${p.url}=${p.account?.pending?.[nonce] ?? p.error ?? 'none'}`).join(' ')),
+        check('replacement mined, original not', mined && mined.status === '0x1' && !minedOrig, `replacement block=${mined ? Number(BigInt(mined.blockNumber)) : 'none'} original=${minedOrig ? 'mined' : 'dropped'}`)
+      ]
+    };
+  },
+
+  async underpriced(wallet) {
+    const fee = await baseFee();
+    const nonce = await pendingNonce(wallet.address);
+    const txs = [];
+    const zeroTip = await send(wallet, 'tip=0', { nonce, maxFeePerGas: fee * 2n, maxPriorityFeePerGas: 0n });
+    txs.push(zeroTip);
+    // A zero tip may be accepted when txpool.pricelimit is 0: move on to the next nonce in that case
+    const n2 = zeroTip.accepted ? nonce + 1 : nonce;
+    const lowCap = { nonce: n2, maxFeePerGas: fee / 2n, maxPriorityFeePerGas: fee / 4n > 0n ? fee / 4n : 1n };
+    const underBase = await send(wallet, 'maxFee<baseFee', lowCap);
+    txs.push(underBase);
+    await sleep(SETTLE_MS * 2);
+    const pools = await poolView(wallet.address);
+    const stuck = underBase.hash ? !(await receipt(underBase.hash)) : false;
+    // Unblock the account: replace with a proper fee (bumped on both caps)
+    const fix = await send(wallet, 'fix', { nonce: n2, maxFeePerGas: (await baseFee()) * 2n + TIP, maxPriorityFeePerGas: TIP > bump(lowCap.maxPriorityFeePerGas, PRICE_BUMP) ? TIP : bump(lowCap.maxPriorityFeePerGas, PRICE_BUMP) });
+    txs.push(fix);
+    await waitNonce(wallet.address, n2 + 1);
+    const fixed = fix.hash ? await receipt(fix.hash) : null;
+    return {
+      txs, pools,
+      checks: [
+        check('zero-tip tx rejected (txpool.pricelimit)', !zeroTip.accepted, zeroTip.error || 'accepted (pricelimit 0?)'),
+        check('maxFeePerGas below base fee accepted into the pool', underBase.accepted, underBase.error),
+        check('maxFeePerGas below base fee not mined', stuck, stuck ? 'still pending' : 'mined'),
+        check('properly priced replacement mined', fixed && fixed.status === '0x1', fix.error || (fixed ? 'mined' : 'not mined'))
+      ]
+    };
+  },
+
+  async gap(wallet) {
+    const fee = await baseFee();
+    const nonce = await pendingNonce(wallet.address);
+    const price = { maxFeePerGas: fee * 2n + TIP, maxPriorityFeePerGas: TIP };
+    const txs = [];
+    txs.push(await send(wallet, 'nonce+1', { nonce: nonce + 1, ...price }));
+    txs.push(await send(wallet, 'nonce+2', { nonce: nonce + 2, ...price }));
+    await sleep(SETTLE_MS * 2);
+    const pools = await poolView(wallet.address);
+    const minedWhileGapped = await latestNonce(wallet.address);
+    txs.push(await send(wallet, 'fill', { nonce, ...price }));
+    const after = await waitNonce(wallet.address, nonce + 3);
+    const [primary, ...others] = pools;
+    return {
+      txs, pools,
+      checks: [
+        check('future nonces accepted', txs[0].accepted && txs[1].accepted, txs.map(t => t.error).filter(Boolean).join('; ')),
+        check('future nonces queued on the receiving node', primary.account && primary.account.queued[nonce + 1] && primary.account.queued[nonce + 2], JSON.stringify(primary.account?.queued ?? primary.error)),
+        check('queued txs not propagated to other nodes', others.every(p => p.account && !p.account.queued[nonce + 1] && !p.account.pending[nonce + 1]), others.map(p => (p.error ? `${p.url} error=${p.error}` : `${p.url} queued=${Object.keys(p.account.queued).length} pending=${Object.keys(p.account.pending).length}`)).join(' ')),
+        check('nothing mined while the gap is open', minedWhileGapped === nonce, `latest nonce=${minedWhileGapped}`),
+        check('all three mined after filling the gap', after >= nonce + 3, `latest nonce=${after} want=${nonce + 3}`)
+      ]
+    };
+  },
+
+  async flood(walletQueue, walletSeq) {
+    const fee = await baseFee();
+    const price = { maxFeePerGas: fee * 3n + TIP, maxPriorityFeePerGas: TIP };
+
+    // Gapped flood: nonce+1 .. nonce+ACCOUNT_QUEUE+FLOOD_EXTRA, then fill the gap
+    const qNonce = await pendingNonce(walletQueue.address);
+    const gapped = [];
+    for (let k = 1; k <= ACCOUNT_QUEUE + FLOOD_EXTRA; k++) gapped.push(await send(walletQueue, `queue+${k}`, { nonce: qNonce + k, ...price }));
+    await sleep(SETTLE_MS);
+    const queuePools = await poolView(walletQueue.address);
+    const queuedOnPrimary = Object.keys(queuePools[0].account?.queued || {}).length;
+    await send(walletQueue, 'queue-fill', { nonce: qNonce, ...price });
+    const qAfter = await waitNonce(walletQueue.address, qNonce + 1 + ACCOUNT_QUEUE);
+    await sleep(SETTLE_MS);
+    const qFinal = await latestNonce(walletQueue.address);
+
+    // Sequential flood from one account
+    const sNonce = await pendingNonce(walletSeq.address);
+    const seq = [];
+    for (let k = 0; k < FLOOD_COUNT; k++) seq.push(await send(walletSeq, `seq${k}`, { nonce: sNonce + k, ...price }));
+    await sleep(SETTLE_MS);
+    const sMinedBefore = await latestNonce(walletSeq.address);
+    const seqPools = await poolView(walletSeq.address);
+    const accepted = seq.filter(t => t.accepted).length;
+    // Each pool must hold every accepted tx that was not mined before its snapshot
+    const heldSeq = (p) => Object.keys(p.account.pending).length + (sMinedBefore - sNonce);
+    const sAfter = await waitNonce(walletSeq.address, sNonce + accepted);
+
+    const txs = [...gapped, ...seq].filter(t => !t.accepted).slice(0, 20); // keep the report small: first rejections only
+    return {
+      txs,
+      pools: { queue: queuePools, sequential: seqPools },
+      summary: {
+        gappedSent: gapped.length, gappedAccepted: gapped.filter(t => t.accepted).length, queuedOnPrimary,
+        gappedMined: qFinal - qNonce, sequentialSent: seq.length, sequentialAccepted: accepted, sequentialMined: sAfter - sNonce
+      },
+      checks: [
+        check(`queued txs capped at txpool.accountqueue=${ACCOUNT_QUEUE}`, queuedOnPrimary <= ACCOUNT_QUEUE, `queued=${queuedOnPrimary} sent=${gapped.length}`),
+        check('txs beyond the queue cap are never mined', qFinal - qNonce <= ACCOUNT_QUEUE + 1, `mined=${qFinal - qNonce} after fill (waited until nonce ${qAfter})`),
+        check('sequential flood pending on every node', seqPools.every(p => p.account && heldSeq(p) >= accepted), seqPools.map(p => `${p.url} pending=${p.account ? Object.keys(p.account.pending).length : p.error}`).join(' ') + ` minedBefore=${sMinedBefore - sNonce} accepted=${accepted}`),
+        check('every accepted sequential tx mined', sAfter - sNonce >= accepted, `mined=${sAfter - sNonce} accepted=${accepted}/${seq.length}`)
+      ]
+    };
+  }
+};
+
+async function main() {
+  const names = SCENARIOS.filter(s => scenarios[s]);
+  const unknown = SCENARIOS.filter(s => !scenarios[s]);
+  if (unknown.length) {
+    console.error(`Unknown scenarios: ${unknown.join(', ')} (use ${Object.keys(scenarios).join(', ')})`);
+    process.exit(1);
+  }
+  chainId = BigInt(await jsonRpc(SEND_URL, 'eth_chainId'));
+  // flood uses two accounts (gapped queue + sequential), the others one each
+  const wallets = {};
+  let k = 0;
+  for (const s of names) wallets[s] = s === 'flood' ? [new Wallet(accountKey(k++)), new Wallet(accountKey(k++))] : [new Wallet(accountKey(k++))];
+  await fundAccounts(Object.values(wallets).flat().map(w => w.address));
+
+  const report = { endpoints, priceBump: PRICE_BUMP, accountQueue: ACCOUNT_QUEUE, before: await Promise.all(endpoints.map(u => jsonRpc(u, 'txpool_status').catch(e => ({ error: e.message })))), scenarios: {} };
+  let failed = 0;
+  for (const s of names) {
+    console.log(`\n[mempool] scenario ${s} (${wallets[s].map(w => w.address).join(', ')})`);
+    const r = await scenarios[s](...wallets[s]);
+    report.scenarios[s] = r;
+    for (const c of r.checks) {
+      if (!c.pass) failed++;
+      console.log(`  ${c.pass ? 'PASS' : 'FAIL'} ${c.check}${c.detail ? ` (${c.detail})` : ''}`);
+    }
+  }
+  report.after = await Promise.all(endpoints.map(u => jsonRpc(u, 'txpool_status').catch(e => ({ error: e.message }))));
+  fs.mkdirSync(outDir, { recursive: true });
+  fs.writeFileSync(path.join(outDir, 'report.json'), JSON.stringify(report, null, 2));
+  console.log(`\n${failed === 0 ? 'All checks passed' : `${failed} check(s) failed`}; report: ${path.join(outDir, 'report.json')}`);
+  process.exit(failed === 0 ? 0 : 1);
+}
+
+main().catch((e) => { console.error(e); process.exit(1); });
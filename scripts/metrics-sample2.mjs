@@ -4,10 +4,19 @@
  * 目的: 毎秒のEL/CL/Validatorとネットワーク全体のユニーク指標をCSVに分割出力。
  * 方針: 数値中心、bool/hash不要、重複集約はしない（ネットワークCSVはAPI由来のみ）。
  * 環境変数: ENDPOINTS, BEACON_URLS, INTERVAL_MS, DURATION_SEC のみ。
+ * blocks.csv: 各ELの全ブロックを欠落なく記録 (lib/chain-blocks.mjs)。latency-tx.csv の tps はこのブロック列から
+ * 直近 TPS_WINDOW_SEC の正確な値を出し、終了時に blocks-summary.json へ EL ごとの TPS / gas/s を保存する。
+ * BLOCK_COLLECTOR=0 で無効 (tps は従来どおり latest の tx 数 / SECONDS_PER_SLOT)。
+ * Prometheus の instance -> コンテナ名は /api/v1/targets (job / instance ラベル) と docker-compose*.yml から自動で対応付ける
+ * (lib/prom-targets.mjs, PROM_TARGETS_REFRESH_SEC ごとに再取得)。セット数は固定せず、見つかった geth-<n> / prysm-<n> と
+ * ENDPOINTS / BEACON_URLS の数の多い方。PROM_INSTANCE_MAP="host:port=container,..." で個別に上書き可能。
  */
 
 import fs from 'node:fs';
 import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { createBlockCollector, throughput, formatThroughputLine, BLOCK_CSV_COLUMNS } from './lib/chain-blocks.mjs';
+import { discoverPromTargets } from './lib/prom-targets.mjs';
 
 function parseList(v, def) {
   const s = (v ?? def).trim();
@@ -20,6 +29,8 @@ const EL_INDEX = Object.fromEntries(EL_ENDPOINTS.map((e, i) => [e, i]));
 const CL_INDEX = Object.fromEntries(CL_ENDPOINTS.map((e, i) => [e, i]));
 const INTERVAL_MS = Number(process.env.INTERVAL_MS || 1000);
 const DURATION_SEC = Number(process.env.DURATION_SEC || 0);
+const BLOCK_COLLECTOR = process.env.BLOCK_COLLECTOR === '0' || process.env.BLOCK_COLLECTOR === 'false' ? false : true;
+const BLOCK_POLL_MS = Number(process.env.BLOCK_POLL_MS || 500);
 
 // config/config.yml から値を読むヘルパー
 function readConfigValue(key, defFunc) {
@@ -37,21 +48,38 @@ function readConfigValue(key, defFunc) {
 
 const SLOTS_PER_EPOCH = readConfigValue('SLOTS_PER_EPOCH', () => 6);
 const SECONDS_PER_SLOT = readConfigValue('SECONDS_PER_SLOT', () => 12);
+// latency-tx.csv の tps を集計するブロック時刻の窓 (秒)
+const TPS_WINDOW_SEC = Number(process.env.TPS_WINDOW_SEC || SECONDS_PER_SLOT * 4);
 
 // コンテナ名はサービス種別 + 1始まりインデックスで記録 (例: geth-1,geth-2 / prysm-1,prysm-2)
 function elContainerName(i) { return `geth-${i + 1}`; }
 function clContainerName(i) { return `prysm-${i + 1}`; }
 const PROMETHEUS_URL = process.env.PROMETHEUS_URL || 'http://localhost:19090';
+const PROM_TARGETS_REFRESH_SEC = Number(process.env.PROM_TARGETS_REFRESH_SEC || 60);
+// 手動の上書き: "host.docker.internal:6063=geth-4,..."
+const PROM_INSTANCE_MAP = Object.fromEntries(parseList(process.env.PROM_INSTANCE_MAP, '').map(kv => kv.split('=')).filter(([k, v]) => k && v));
+const COMPOSE_DIR = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+
+// Prometheus instance -> container name (lib/prom-targets.mjs). Fetched once before sampling, then refreshed by a
+// background timer so a slow Prometheus never delays a 1 Hz sample; the loop keeps using the last mapping
+let promTargets = null;
+let promTargetsRefreshing = null;
+function refreshPromTargets() {
+  promTargetsRefreshing ??= (async () => {
+    const prev = promTargets ? promTargets.targets.map(t => `${t.instance}=${t.container}`).join(' ') : null;
+    promTargets = await discoverPromTargets({ prometheusUrl: PROMETHEUS_URL, composeDir: COMPOSE_DIR, overrides: PROM_INSTANCE_MAP });
+    const now = promTargets.targets.map(t => `${t.instance}=${t.container}`).join(' ');
+    if (now !== prev) console.log(`metrics-sample2: prometheus targets (${promTargets.source}): ${now || 'none'}`);
+  })().catch((e) => console.error('metrics-sample2 prometheus targets:', e?.message || e))
+    .finally(() => { promTargetsRefreshing = null; });
+  return promTargetsRefreshing;
+}
 
-// Prometheus instance -> container name mapping
-const PROM_INSTANCE_MAP = {
-  'host.docker.internal:8080': 'prysm-1',
-  'host.docker.internal:8081': 'prysm-2',
-  'host.docker.internal:8082': 'prysm-3',
-  'host.docker.internal:6060': 'geth-1',
-  'host.docker.internal:6061': 'geth-2',
-  'host.docker.internal:6062': 'geth-3',
-};
+// セット数: 見つかった EL / CL コンテナの最大インデックスと ENDPOINTS / BEACON_URLS の数の多い方
+function setCount() {
+  const sets = (promTargets?.targets || []).filter(t => t.kind === 'geth' || t.kind === 'prysm').map(t => t.set || 0);
+  return Math.max(EL_ENDPOINTS.length, CL_ENDPOINTS.length, ...sets);
+}
 
 // 分割出力用のCSVファイル（EL/CL/Validator/Performance/LatencyTx）
 let EL_CSV = '';
@@ -61,12 +89,17 @@ let NET_CSV = '';
 // let PERF_CL_CSV = ''; // Removed
 // let PERF_EL_CSV = ''; // Removed
 let LATENCY_TX_CSV = '';
+let BLOCKS_CSV = '';
+let RUN_DIR = '';
+// container_name -> block collector (every block of that EL)
+const blockCollectors = {};
 
 function tsBase() { return new Date().toISOString().replace(/[:.]/g, '-'); }
 function initCsvFiles() {
   const base = tsBase();
   const dir = path.join('./metrics', base);
   fs.mkdirSync(dir, { recursive: true });
+  RUN_DIR = dir;
 
   EL_CSV = path.join(dir, 'el.csv');
   CL_CSV = path.join(dir, 'cl.csv');
@@ -75,6 +108,7 @@ function initCsvFiles() {
   // PERF_CL_CSV = path.join(dir, 'perf-cl.csv'); // Removed
   // PERF_EL_CSV = path.join(dir, 'perf-el.csv'); // Removed
   LATENCY_TX_CSV = path.join(dir, 'latency-tx.csv');
+  BLOCKS_CSV = path.join(dir, 'blocks.csv');
 
   const elHeader = [
     // 動的指標のみ（静的/布尔は除外）
@@ -123,6 +157,7 @@ function initCsvFiles() {
   // fs.writeFileSync(PERF_CL_CSV, perfClHeader); // Removed
   // fs.writeFileSync(PERF_EL_CSV, perfElHeader); // Removed
   fs.writeFileSync(LATENCY_TX_CSV, latencyTxHeader);
+  if (BLOCK_COLLECTOR) fs.writeFileSync(BLOCKS_CSV, BLOCK_CSV_COLUMNS.join(',') + '\n');
 }
 
 function unixMs() { return Date.now(); }
@@ -242,9 +277,10 @@ async function sampleEl(endpoint, perfData) {
 // Write CL metrics (mostly perf data)
 function writeClMetrics(perfData) {
   const ts_ms = unixMs();
-  // Iterate expected CL containers (prysm-1..3)
-  for (const c of Object.values(PROM_INSTANCE_MAP)) {
-    if (!c.startsWith('prysm')) continue;
+  // Iterate expected CL containers (prysm-1..N, plus any other discovered prysm target)
+  const containers = new Set(Array.from({ length: setCount() }, (_, i) => clContainerName(i)));
+  for (const c of promTargets?.containers('prysm') || []) containers.add(c);
+  for (const c of containers) {
     const pm = (perfData && perfData[c]) || { m1: MISSING, m2: MISSING, m3: MISSING, m4: MISSING, m5: MISSING, m6: MISSING, m7: MISSING, m8: MISSING, m9: MISSING };
     // m1: state_transition_ms, m2: head_slot, m3: justified_epoch, m4: finalized_epoch, m5: peer_count
     // m6: block_import_time_sum, m7: active_validators, m8: cpu, m9: mem
@@ -331,13 +367,13 @@ async function sampleValidators() {
 }
 
 // New function: sampleLatencyTx
-// el_latency, cl_latency, tx_pool_pending, block_tx_count for set1, set2, set3
+// el_latency, cl_latency, tx_pool_pending, block_tx_count for set1..setN
 // Latency is now fetched from Prometheus (internal processing time) to avoid external network influence.
 async function sampleLatencyTx(perfData) {
   const ts_ms = unixMs();
 
-  // Iterate over sets (0, 1, 2)
-  for (let i = 0; i < 3; i++) {
+  // Iterate over sets (0..N-1)
+  for (let i = 0; i < setCount(); i++) {
     const setName = `set${i + 1}`;
     const elContainer = elContainerName(i); // geth-1
     const clContainer = clContainerName(i); // prysm-1
@@ -372,7 +408,16 @@ async function sampleLatencyTx(perfData) {
     let tps = MISSING;
 
     // 1. Block metrics (Tx Count & Number & TPS)
-    if (elUrl) {
+    const collector = blockCollectors[elContainer];
+    if (collector) {
+      // 全ブロック記録から: 最新ブロック時刻までの TPS_WINDOW_SEC 内の tx 数 / 窓の長さ (記録開始前には広げない)
+      const records = collector.records();
+      const last = records[records.length - 1];
+      if (last) {
+        const fromSec = Math.max(last.timestamp - TPS_WINDOW_SEC, records[0].timestamp);
+        tps = throughput(records, { fromSec, toSec: last.timestamp }).tps ?? MISSING;
+      }
+    } else if (elUrl) {
       try {
         const { result: blk } = await jsonRpc(elUrl, 'eth_getBlockByNumber', ['latest', false]);
         if (blk) {
@@ -421,7 +466,8 @@ async function samplePerfMetrics() {
 
   // Initialize with all expected containers and default values
   const expectedContainers = [
-    ...Object.values(PROM_INSTANCE_MAP), // geth-1..3, prysm-1..3
+    ...Array.from({ length: setCount() }, (_, i) => [elContainerName(i), clContainerName(i)]).flat(), // geth-1..N, prysm-1..N
+    ...(promTargets?.containers() || [])
   ];
   for (const c of expectedContainers) {
     data[c] = { m1: MISSING, m2: MISSING, m3: MISSING, m4: MISSING, m5: MISSING, m6: MISSING, m7: MISSING, m8: MISSING, m9: MISSING, m10: MISSING };
@@ -430,7 +476,7 @@ async function samplePerfMetrics() {
   // Helper to extract container name from metric labels
   const getContainer = (metric) => {
     const instance = metric.instance;
-    return PROM_INSTANCE_MAP[instance] || instance; // Fallback to raw instance if not mapped
+    return promTargets?.containerFor(instance) || instance; // Fallback to raw instance if not mapped
   };
 
   const update = (res, key) => {
@@ -464,12 +510,43 @@ async function samplePerfMetrics() {
   return data;
 }
 
+// One collector per EL; rows go to blocks.csv as they are recorded (reorg replacements too)
+async function startBlockCollectors() {
+  if (!BLOCK_COLLECTOR) return;
+  await Promise.all(EL_ENDPOINTS.map((url, i) => {
+    const c = createBlockCollector({
+      name: elContainerName(i),
+      rpc: async (method, params) => (await jsonRpc(url, method, params)).result,
+      pollMs: BLOCK_POLL_MS,
+      onBlock: (r) => appendCsvRow(BLOCKS_CSV, BLOCK_CSV_COLUMNS.map(k => r[k]))
+    });
+    blockCollectors[c.name] = c;
+    return c.start();
+  }));
+}
+
+async function writeBlockSummary() {
+  const collectors = Object.values(blockCollectors);
+  if (collectors.length === 0) return;
+  await Promise.all(collectors.map(c => c.stop()));
+  const summary = {};
+  for (const c of collectors) {
+    const t = throughput(c.records());
+    summary[c.name] = { ...t, ...c.counters };
+    console.log(formatThroughputLine(c.name, t) + ` reorgs=${c.counters.reorgs} fetchErrors=${c.counters.fetchErrors}`);
+  }
+  fs.writeFileSync(path.join(RUN_DIR, 'blocks-summary.json'), JSON.stringify(summary, null, 2));
+}
+
 async function main() {
   // graceful stop on Ctrl+C / SIGTERM
   let stop = false;
   process.on('SIGINT', () => { stop = true; });
   process.on('SIGTERM', () => { stop = true; });
   initCsvFiles();
+  await startBlockCollectors();
+  await refreshPromTargets();
+  const promTimer = setInterval(refreshPromTargets, PROM_TARGETS_REFRESH_SEC * 1000);
   const endAt = DURATION_SEC > 0 ? Date.now() + DURATION_SEC * 1000 : Number.POSITIVE_INFINITY;
   // 固定レート(既定1秒)でサンプリング: 処理時間を含めて厳密に1Hzを目指す
   let nextAt = Date.now();
@@ -497,6 +574,8 @@ async function main() {
     const delay = Math.max(0, nextAt - now);
     if (delay > 0) await sleep(delay);
   }
+  clearInterval(promTimer);
+  await writeBlockSummary();
   console.log('metrics-sample2: done');
 }
 
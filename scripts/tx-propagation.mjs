@@ -0,0 +1,276 @@
+#!/usr/bin/env node
+/**
+ * tx-propagation.mjs
+ * Mempool gossip between the ELs: when does a tx submitted to one geth show up in the pools of the others.
+ * - Subscribes newPendingTransactions (hashes) over WS on every EL (lib/el-subscriptions.mjs, reconnects by itself) and
+ *   keeps the first time each node announced each hash; written to pending-seen.csv.
+ * - Live: every PROPAGATION_REPORT_SEC the hashes first seen SETTLE_SEC ago are summarised as first node -> other nodes
+ *   delay and the number seen by one node only.
+ * - At the end the hashes are correlated with the load generator's records (txs-node*.csv in LOAD_RUN_DIR; the submit
+ *   time and the `endpoint` column of load-forward.mjs): origin node = the EL the tx was sent to, gossip delay =
+ *   first announcement on another node - submit time. Txs submitted while recording that some node never announced
+ *   are flagged in not-propagated.csv (included ones too: that node only learnt them from the block).
+ *
+ * Env:
+ *   EL_WS_URLS             EL WebSocket URLs, node i = geth-<i+1> (default ws://127.0.0.1:8546,8549,8550)
+ *   EL_HTTP_URLS           HTTP URLs of the same nodes, to map http endpoints of the tx records (default :8545,8547,8548)
+ *   LOAD_RUN_DIR           load run to correlate with (default: the newest metrics/load_* when stopping)
+ *   DURATION_SEC=0         run time (0 = until Ctrl+C / SIGTERM)
+ *   SETTLE_SEC=12          how long a tx may take to reach every node before it counts as not propagated
+ *   PROPAGATION_REPORT_SEC=30  interval of the live window lines
+ *   RECONNECT_MS=1000      first reconnect delay, doubled per failed attempt up to 10s
+ * Output: metrics/tx_propagation_<timestamp>/ (pending-seen.csv, txs.csv, not-propagated.csv, summary.json;
+ * TX_PROPAGATION_DIR overrides)
+ *
+ * CLI:
+ *   node scripts/tx-propagation.mjs --analyze metrics/tx_propagation_<ts> [metrics/load_<ts>]   # correlate again, e.g.
+ *   # after the load run has written its txs-node*.csv
+ */
+import fs from 'node:fs';
+import path from 'node:path';
+import readline from 'node:readline';
+import { subscribeEl } from './lib/el-subscriptions.mjs';
+import { distribution, writeCsv, readTxCsv } from './lib/latency.mjs';
+
+function parseList(v) {
+  return (v || '').split(/[,\s]+/).filter(Boolean);
+}
+
+const EL_WS_URLS = parseList(process.env.EL_WS_URLS || 'ws://127.0.0.1:8546,ws://127.0.0.1:8549,ws://127.0.0.1:8550');
+const EL_HTTP_URLS = parseList(process.env.EL_HTTP_URLS || 'http://127.0.0.1:8545,http://127.0.0.1:8547,http://127.0.0.1:8548');
+const DURATION_SEC = Number(process.env.DURATION_SEC || 0);
+const SETTLE_SEC = Number(process.env.SETTLE_SEC || 12);
+const REPORT_SEC = Number(process.env.PROPAGATION_REPORT_SEC || 30);
+const RECONNECT_MS = Number(process.env.RECONNECT_MS || 1000);
+const OUT_DIR = process.env.TX_PROPAGATION_DIR || path.join(process.cwd(), 'metrics', `tx_propagation_${new Date().toISOString().replace(/[:.]/g, '-')}`);
+const NODES = EL_WS_URLS.map((_, i) => `geth-${i + 1}`);
+
+const SEEN_COLUMNS = ['hash', 'node', 'seen_ms'];
+const TX_COLUMNS = ['hash', 'origin_node', 'node', 'submit_ms', 'seen_ms', 'delay_ms', 'block_number'];
+const MISSED_COLUMNS = ['hash', 'origin_node', 'missing_nodes', 'submit_ms', 'block_number', 'status', 'kind'];
+
+// host:port, with localhost folded onto 127.0.0.1 so either spelling maps to the same node
+function hostKey(url) {
+  try {
+    const u = new URL(url);
+    return `${u.hostname === 'localhost' ? '127.0.0.1' : u.hostname}:${u.port}`;
+  } catch {
+    return url;
+  }
+}
+
+const NODE_OF_ENDPOINT = new Map();
+[EL_WS_URLS, EL_HTTP_URLS].forEach(list => list.forEach((u, i) => NODE_OF_ENDPOINT.set(hostKey(u), `geth-${i + 1}`)));
+
+function newestLoadDir() {
+  const root = path.join(process.cwd(), 'metrics');
+  if (!fs.existsSync(root)) return null;
+  const dirs = fs.readdirSync(root).filter(d => d.startsWith('load_')).sort();
+  return dirs.length ? path.join(root, dirs[dirs.length - 1]) : null;
+}
+
+function readLoadRecords(dir) {
+  if (!dir || !fs.existsSync(dir)) return [];
+  let records = [];
+  for (const f of fs.readdirSync(dir).filter(f => /^txs-node\d+\.csv$/.test(f))) {
+    records = records.concat(readTxCsv(path.join(dir, f)));
+  }
+  return records;
+}
+
+// seen: Map hash -> { node: first announcement ms }, streamed and limited to the hashes of the load records
+async function readSeen(file, hashes) {
+  const seen = new Map();
+  const lines = readline.createInterface({ input: fs.createReadStream(file), crlfDelay: Infinity });
+  let header = true;
+  for await (const line of lines) {
+    if (header || !line) { header = false; continue; }
+    const [hash, node, ms] = line.split(',');
+    if (!hashes.has(hash)) continue;
+    if (!seen.has(hash)) seen.set(hash, {});
+    const s = seen.get(hash);
+    if (s[node] == null || Number(ms) < s[node]) s[node] = Number(ms);
+  }
+  return seen;
+}
+
+const f = (v) => (v == null ? 'n/a' : v);
+const line = (label, s) => `${label}: txs=${s.txs} delay_ms p50=${f(s.delayMs.p50)} p90=${f(s.delayMs.p90)} p99=${f(s.delayMs.p99)} max=${f(s.delayMs.max)} not_propagated=${s.notPropagated}`;
+
+/**
+ * correlate(records, seen, { fromMs, toMs })
+ * Load records submitted in [fromMs, toMs] (the recording window minus SETTLE_SEC) against the announcements.
+ */
+function correlate(records, seen, { fromMs, toMs }) {
+  const rows = [];
+  const missed = [];
+  const byPair = new Map(); // "origin->node" -> delays
+  let outside = 0;
+  let unknownOrigin = 0;
+  let neverSeen = 0;
+  let inWindow = 0;
+  for (const r of records) {
+    if (r.submit_ms < fromMs || r.submit_ms > toMs) { outside++; continue; }
+    inWindow++;
+    const s = seen.get(r.hash) || {};
+    // Records without an endpoint (older runs): the first node that announced the tx stands in for the origin
+    let origin = r.endpoint ? NODE_OF_ENDPOINT.get(hostKey(r.endpoint)) : null;
+    if (!origin) {
+      unknownOrigin++;
+      origin = Object.entries(s).sort((a, b) => a[1] - b[1])[0]?.[0] ?? null;
+    }
+    if (!Object.keys(s).length) neverSeen++;
+    const missing = [];
+    for (const node of NODES) {
+      const seenMs = s[node] ?? null;
+      rows.push({ hash: r.hash, origin_node: origin, node, submit_ms: r.submit_ms, seen_ms: seenMs, delay_ms: seenMs != null ? seenMs - r.submit_ms : null, block_number: r.block_number });
+      if (node === origin) continue;
+      if (seenMs == null) missing.push(node);
+      const key = `${origin ?? 'unknown'}->${node}`;
+      if (!byPair.has(key)) byPair.set(key, { delays: [], missed: 0 });
+      if (seenMs != null) byPair.get(key).delays.push(seenMs - r.submit_ms);
+      else byPair.get(key).missed++;
+    }
+    if (missing.length) {
+      missed.push({ hash: r.hash, origin_node: origin, missing_nodes: missing.join(';'), submit_ms: r.submit_ms, block_number: r.block_number, status: r.status, kind: r.kind });
+    }
+  }
+  const gossip = rows.filter(r => r.node !== r.origin_node);
+  const local = rows.filter(r => r.node === r.origin_node);
+  return {
+    rows,
+    missed,
+    summary: {
+      txs: inWindow,
+      outsideWindow: outside,
+      unknownOrigin,
+      neverSeen,
+      delayMs: distribution(gossip.map(r => r.delay_ms)),
+      // submit -> announced by the node the tx was sent to
+      localPoolMs: distribution(local.map(r => r.delay_ms)),
+      notPropagated: missed.length,
+      notPropagatedIncluded: missed.filter(m => m.block_number != null).length,
+      byPair: Object.fromEntries([...byPair].sort().map(([k, v]) => [k, { delayMs: distribution(v.delays), missed: v.missed }]))
+    }
+  };
+}
+
+async function analyze(dir, loadDir) {
+  const meta = JSON.parse(fs.readFileSync(path.join(dir, 'meta.json'), 'utf8'));
+  const records = readLoadRecords(loadDir);
+  if (!records.length) {
+    console.error(`No txs-node*.csv in ${loadDir || '(no load run found)'}; re-run with: node scripts/tx-propagation.mjs --analyze ${dir} <load run dir>`);
+    return false;
+  }
+  const seen = await readSeen(path.join(dir, 'pending-seen.csv'), new Set(records.map(r => r.hash)));
+  const { rows, missed, summary } = correlate(records, seen, { fromMs: meta.startMs, toMs: meta.endMs - (meta.settleSec ?? SETTLE_SEC) * 1000 });
+  writeCsv(path.join(dir, 'txs.csv'), TX_COLUMNS, rows);
+  writeCsv(path.join(dir, 'not-propagated.csv'), MISSED_COLUMNS, missed);
+  fs.writeFileSync(path.join(dir, 'summary.json'), JSON.stringify({ loadRunDir: loadDir, ...meta, ...summary }, null, 2));
+  console.log(`${line('gossip', summary)} local_pool_ms p50=${f(summary.localPoolMs.p50)} p99=${f(summary.localPoolMs.p99)} never_seen=${summary.neverSeen} outside_window=${summary.outsideWindow}`);
+  for (const [pair, p] of Object.entries(summary.byPair)) {
+    console.log(`  ${pair}: delay_ms p50=${f(p.delayMs.p50)} p99=${f(p.delayMs.p99)} max=${f(p.delayMs.max)} missed=${p.missed}`);
+  }
+  if (summary.notPropagated) {
+    console.log(`WARNING: ${summary.notPropagated} txs never reached every node (${summary.notPropagatedIncluded} of them were included anyway); see not-propagated.csv`);
+  }
+  console.log(`Saved ${path.join(dir, 'summary.json')}`);
+  return true;
+}
+
+async function record() {
+  fs.mkdirSync(OUT_DIR, { recursive: true });
+  const startMs = Date.now();
+  // Live state only: a hash leaves seen / order once the window has summarised it, pending-seen.csv keeps everything
+  const seen = new Map();
+  const order = []; // [hash, first ms] in arrival order, for the live window
+  // Summarised hashes by first-seen ms (insertion = first-seen order), kept until first seen 2 x SETTLE_SEC (plus one
+  // report tick) ago, so a late re-announcement is written to the CSV but not counted as a new tx
+  const settled = new Map();
+  const keepSettledMs = (2 * SETTLE_SEC + REPORT_SEC) * 1000;
+  let hashes = 0;
+  const seenOut = fs.createWriteStream(path.join(OUT_DIR, 'pending-seen.csv'));
+  seenOut.write(SEEN_COLUMNS.join(',') + '\n');
+  console.log(`Recording newPendingTransactions from ${NODES.join(',')} -> ${OUT_DIR}`);
+
+  const subs = EL_WS_URLS.map((url, i) => subscribeEl({
+    url,
+    params: ['newPendingTransactions'],
+    reconnectMs: RECONNECT_MS,
+    onData: (hash, ms) => {
+      if (typeof hash !== 'string') hash = hash?.hash; // full tx objects when the node ignores the hashes-only default
+      if (!hash) return;
+      if (settled.has(hash)) {
+        seenOut.write(`${hash},${NODES[i]},${ms}\n`);
+        return;
+      }
+      let s = seen.get(hash);
+      if (!s) {
+        s = {};
+        seen.set(hash, s);
+        order.push([hash, ms]);
+        hashes++;
+      }
+      if (s[NODES[i]] == null) {
+        s[NODES[i]] = ms;
+        seenOut.write(`${hash},${NODES[i]},${ms}\n`);
+      }
+    },
+    onStatus: ({ type, error }) => console.log(`[${new Date().toISOString()}] ${NODES[i]} ${type}${error ? ` (${error})` : ''}`)
+  }));
+
+  // Live: hashes first seen at least SETTLE_SEC ago, first announcing node -> the others
+  const tick = setInterval(() => {
+    const until = Date.now() - SETTLE_SEC * 1000;
+    const delays = [];
+    let txs = 0;
+    let single = 0;
+    const cutoff = Date.now() - keepSettledMs;
+    for (const [hash, firstMs] of settled) {
+      if (firstMs >= cutoff) break;
+      settled.delete(hash);
+    }
+    while (txs < order.length && order[txs][1] <= until) {
+      const [hash, firstMs] = order[txs++];
+      const times = Object.values(seen.get(hash)).sort((a, b) => a - b);
+      if (times.length === 1) single++;
+      for (const ms of times.slice(1)) delays.push(ms - firstMs);
+      seen.delete(hash);
+      settled.set(hash, firstMs);
+    }
+    order.splice(0, txs);
+    if (txs) console.log(line(`[${new Date().toISOString()}] window (first node -> others)`, { txs, delayMs: distribution(delays), notPropagated: single }) + ' (seen by one node only)');
+  }, REPORT_SEC * 1000);
+
+  let stop = false;
+  let wake = null;
+  const onSignal = () => { stop = true; wake?.(); };
+  process.on('SIGINT', onSignal);
+  process.on('SIGTERM', onSignal);
+  const endAt = DURATION_SEC > 0 ? Date.now() + DURATION_SEC * 1000 : Infinity;
+  while (!stop && Date.now() < endAt) {
+    await new Promise((r) => { wake = r; setTimeout(r, Math.min(1000, endAt - Date.now())); });
+  }
+
+  clearInterval(tick);
+  await Promise.all(subs.map(s => s.stop()));
+  await new Promise(r => seenOut.end(r));
+  const meta = { startMs, endMs: Date.now(), settleSec: SETTLE_SEC, nodes: NODES.map((node, i) => ({ node, ws: EL_WS_URLS[i], http: EL_HTTP_URLS[i] ?? null })), hashes };
+  fs.writeFileSync(path.join(OUT_DIR, 'meta.json'), JSON.stringify(meta, null, 2));
+  console.log(`Recorded ${hashes} pending tx hashes`);
+  await analyze(OUT_DIR, process.env.LOAD_RUN_DIR || newestLoadDir());
+  process.exit(0);
+}
+
+const analyzeIdx = process.argv.indexOf('--analyze');
+if (analyzeIdx >= 0) {
+  const dir = process.argv[analyzeIdx + 1];
+  if (!dir) {
+    console.error('usage: node scripts/tx-propagation.mjs --analyze <metrics/tx_propagation_... dir> [load run dir]');
+    process.exit(1);
+  }
+  analyze(dir, process.argv[analyzeIdx + 2] || process.env.LOAD_RUN_DIR || newestLoadDir())
+    .then((ok) => process.exit(ok ? 0 : 1), (e) => { console.error(e); process.exit(1); });
+} else {
+  record().catch((e) => { console.error(e); process.exit(1); });
+}